@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const verifyAuthToken = require('../utils/authToken');
+
+// How long a key (and its stored response) is kept
+const RETENTION_HOURS = Number(process.env.IDEMPOTENCY_KEY_TTL_HOURS ?? 24);
+// A key still in progress after this long belongs to a request that died
+// (e.g. the server restarted) and the next retry takes it over
+const LOCK_TIMEOUT_MS = Number(process.env.IDEMPOTENCY_LOCK_TIMEOUT_MS ?? 60 * 1000);
+
+// Who is using the key: the signed-in user, or the IP address for guests.
+// Keys are only ever replayed to the same caller.
+const requester = (req) => {
+  const token = req.headers.authorization?.split(' ')[1];
+  if (token) {
+    try {
+      return `user:${verifyAuthToken(token).id}`;
+    } catch (error) {
+      // Fall back to the address, as the route itself treats them as a guest
+    }
+  }
+  return `ip:${req.ip}`;
+};
+
+const fingerprintRequest = (req) => {
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.originalUrl}\n${JSON.stringify(req.body || {})}`)
+    .digest('hex');
+};
+
+// Store the response once the route answers, so repeats can be replayed
+const captureResponse = (res, next, filter) => {
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    const done = res.statusCode >= 500
+      // Server errors are not stored, so the client can retry with the same key
+      ? IdempotencyKey.deleteOne(filter)
+      : IdempotencyKey.updateOne(
+        filter,
+        { status: 'completed', responseStatus: res.statusCode, responseBody: body }
+      );
+
+    done.catch(err => console.error('Failed to store idempotent response:', err.message));
+
+    return originalJson(body);
+  };
+
+  next();
+};
+
+// Honour an `Idempotency-Key` header: the first request runs normally and its
+// response is stored; repeats with the same body get that response replayed,
+// and repeats with a different body are rejected. Requests without the header
+// are not affected.
+const idempotency = (scope) => async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) return next();
+
+  if (key.length > 255) {
+    return res.status(400).json({
+      success: false,
+      message: 'Idempotency-Key must be at most 255 characters',
+    });
+  }
+
+  const fingerprint = fingerprintRequest(req);
+  const keyScope = `${scope} ${req.method} ${req.baseUrl}${req.path} ${requester(req)}`;
+
+  try {
+    await IdempotencyKey.create({
+      key,
+      scope: keyScope,
+      fingerprint,
+      lockedAt: new Date(),
+      expiresAt: new Date(Date.now() + RETENTION_HOURS * 60 * 60 * 1000),
+    });
+  } catch (error) {
+    if (error.code !== 11000) return next(error);
+
+    const existing = await IdempotencyKey.findOne({ key, scope: keyScope });
+
+    if (!existing) {
+      // Expired between the insert and the lookup - treat as a conflict to be safe
+      return res.status(409).json({
+        success: false,
+        message: 'Please retry the request',
+      });
+    }
+
+    if (existing.fingerprint !== fingerprint) {
+      return res.status(422).json({
+        success: false,
+        message: 'Idempotency-Key has already been used with a different request',
+      });
+    }
+
+    if (existing.status === 'in_progress') {
+      // Take over a key whose request died; only one retry can win
+      const staleBefore = new Date(Date.now() - LOCK_TIMEOUT_MS);
+      const takenOver = await IdempotencyKey.findOneAndUpdate(
+        {
+          _id: existing._id,
+          status: 'in_progress',
+          $or: [
+            { lockedAt: { $lte: staleBefore } },
+            { lockedAt: null, createdAt: { $lte: staleBefore } },
+          ],
+        },
+        { lockedAt: new Date() }
+      );
+      if (takenOver) {
+        return captureResponse(res, next, { key, scope: keyScope });
+      }
+
+      return res.status(409).json({
+        success: false,
+        message: 'A request with this Idempotency-Key is still being processed',
+      });
+    }
+
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(existing.responseStatus).json(existing.responseBody);
+  }
+
+  return captureResponse(res, next, { key, scope: keyScope });
+};
+
+module.exports = idempotency;
@@ -13,6 +13,11 @@ const cartSchema = new mongoose.Schema({
       ref: 'Product',
       required: true,
     },
+    // Set for products with variants (_id in product.variants)
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
     size: {
       type: Number,
       required: true,
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Coupon code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+  },
+  description: {
+    type: String,
+    default: '',
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['percentage', 'fixed_amount', 'free_shipping', 'buy_x_get_y'],
+  },
+  // Percent off for `percentage`, dollars off for `fixed_amount`
+  value: {
+    type: Number,
+    default: 0,
+    min: [0, 'Value cannot be negative'],
+  },
+  // Cap on the discount for percentage coupons
+  maxDiscount: {
+    type: Number,
+    default: null,
+  },
+  // Buy X get Y: for every `buyQuantity` units, `getQuantity` more units
+  // (the cheapest ones) get `getDiscountPercent` off
+  buyQuantity: {
+    type: Number,
+    default: 0,
+  },
+  getQuantity: {
+    type: Number,
+    default: 0,
+  },
+  getDiscountPercent: {
+    type: Number,
+    default: 100,
+    min: 0,
+    max: 100,
+  },
+  // Restrictions
+  minSubtotal: {
+    type: Number,
+    default: 0,
+  },
+  brands: [{
+    type: String,
+    trim: true,
+  }],
+  categories: [{
+    type: String,
+    enum: ['running', 'casual', 'sports', 'formal', 'sneakers'],
+  }],
+  usageLimit: {
+    type: Number,
+    default: null, // null = unlimited
+  },
+  perUserLimit: {
+    type: Number,
+    default: null, // null = unlimited
+  },
+  usageCount: {
+    type: Number,
+    default: 0,
+  },
+  firstOrderOnly: {
+    type: Boolean,
+    default: false,
+  },
+  startsAt: {
+    type: Date,
+    default: null,
+  },
+  endsAt: {
+    type: Date,
+    default: null,
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  timestamps: true,
+});
+
+module.exports = mongoose.model('Coupon', couponSchema);
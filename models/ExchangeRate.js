@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+const exchangeRateSchema = new mongoose.Schema({
+  currency: {
+    type: String,
+    required: [true, 'Currency is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+  },
+  // Units of `currency` per one unit of the base currency
+  rate: {
+    type: Number,
+    required: [true, 'Rate is required'],
+    min: [0.000001, 'Rate must be positive'],
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
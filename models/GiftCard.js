@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+const giftCardSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true,
+  },
+  // Cards can only pay for orders in their own currency
+  currency: {
+    type: String,
+    uppercase: true,
+    default: 'USD',
+  },
+  initialBalance: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Amount must be positive'],
+  },
+  balance: {
+    type: Number,
+    required: true,
+    min: [0, 'Balance cannot be negative'],
+  },
+  expiresAt: {
+    type: Date,
+    default: null,
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  recipientEmail: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: '',
+  },
+  message: {
+    type: String,
+    default: '',
+  },
+  // Set when bought online - one card per payment
+  purchasePaymentIntentId: String,
+  purchasedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  // Every balance change; the balance is always initialBalance + sum(amount)
+  transactions: [{
+    type: {
+      type: String,
+      enum: ['redeem', 'refund', 'adjust'],
+      required: true,
+    },
+    amount: { type: Number, required: true }, // negative for redemptions
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+    },
+    orderNumber: String,
+    note: String,
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  }],
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+giftCardSchema.index(
+  { purchasePaymentIntentId: 1 },
+  { unique: true, partialFilterExpression: { purchasePaymentIntentId: { $type: 'string' } } }
+);
+
+module.exports = mongoose.model('GiftCard', giftCardSchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+const idempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+  },
+  // Endpoint, route and caller (user, or IP for guests) the key was used by -
+  // the same key from someone else or on another route is a different key
+  scope: {
+    type: String,
+    required: true,
+  },
+  // Hash of the request body, to detect a key reused for a different request
+  fingerprint: {
+    type: String,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['in_progress', 'completed'],
+    default: 'in_progress',
+  },
+  // When the request holding the key started; a key still in progress long
+  // after this was left by a crashed request and can be taken over
+  lockedAt: Date,
+  responseStatus: Number,
+  responseBody: mongoose.Schema.Types.Mixed,
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+}, {
+  timestamps: true,
+});
+
+idempotencyKeySchema.index({ key: 1, scope: 1 }, { unique: true });
+// MongoDB removes keys once the retention window has passed
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
@@ -18,16 +18,37 @@ const orderSchema = new mongoose.Schema({
       ref: 'Product',
       required: true,
     },
+    // Variant bought, for products with variants (_id in product.variants)
+    variant: mongoose.Schema.Types.ObjectId,
+    sku: String,
+    color: String,
+    width: String,
     name: String,
     price: Number,
     size: Number,
     quantity: Number,
     image: String,
+    // Tax charged on this line, per jurisdiction
+    tax: { type: Number, default: 0 },
+    taxBreakdown: [{
+      _id: false,
+      jurisdiction: String,
+      country: String,
+      state: String,
+      rate: Number,
+      taxable: Number,
+      amount: Number,
+    }],
+    // Units of this line that were cancelled/refunded
+    cancelledQuantity: {
+      type: Number,
+      default: 0,
+    },
   }],
   shippingInfo: {
     firstName: { type: String, required: true },
     lastName: { type: String, required: true },
-    email: { type: String, required: true },
+    email: { type: String, required: true, lowercase: true, trim: true },
     phone: { type: String, required: true },
     address: { type: String, required: true },
     city: { type: String, required: true },
@@ -35,26 +56,261 @@ const orderSchema = new mongoose.Schema({
     zipCode: { type: String, required: true },
     country: { type: String, default: 'US' },
   },
+  // All prices on the order are in this currency
+  currency: {
+    type: String,
+    uppercase: true,
+    default: 'USD',
+  },
+  // Units of `currency` per base currency unit at checkout (for reporting)
+  exchangeRate: {
+    type: Number,
+    default: 1,
+  },
+  shippingMethod: {
+    code: String,
+    name: String,
+    zone: String,
+    estimatedDays: {
+      min: Number,
+      max: Number,
+    },
+    cost: Number,
+  },
   pricing: {
     subtotal: { type: Number, required: true },
+    discount: { type: Number, default: 0 },
+    coupon: {
+      couponId: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon' },
+      code: String,
+      type: { type: String },
+      description: String,
+      discount: Number,
+      freeShipping: Boolean,
+    },
     shipping: { type: Number, required: true },
     tax: { type: Number, required: true },
     total: { type: Number, required: true },
   },
   paymentInfo: {
+    // Payment provider that holds the intent (stripe or mock)
+    provider: {
+      type: String,
+      default: 'stripe',
+    },
+    // Intent id at the provider (kept under its original name)
     stripePaymentIntentId: String,
     paymentMethod: String,
     paymentStatus: {
       type: String,
-      enum: ['pending', 'paid', 'failed', 'refunded'],
+      enum: ['pending', 'paid', 'failed', 'partially_refunded', 'refunded', 'disputed'],
       default: 'pending',
     },
+    // Card payments: checkout plus extra charges (unset on older orders - see refundService)
+    amountCharged: Number,
+    // Refunded across every tender
+    amountRefunded: {
+      type: Number,
+      default: 0,
+    },
+    // Extra payments taken when a customer modification raised the total
+    additionalCharges: [{
+      paymentIntentId: { type: String, required: true },
+      amount: { type: Number, required: true },
+      amountRefunded: { type: Number, default: 0 },
+      paidAt: {
+        type: Date,
+        default: Date.now,
+      },
+    }],
+    paidAt: Date,
+    // Last Stripe event applied to this order (set by the webhook)
+    lastEventId: String,
+    lastEventAt: Date,
   },
+  // Gift cards and store credit used at checkout; a card pays the rest (paymentInfo)
+  tenders: [{
+    type: {
+      type: String,
+      enum: ['gift_card', 'store_credit'],
+      required: true,
+    },
+    giftCard: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'GiftCard',
+    },
+    code: String, // masked gift card code
+    amount: { type: Number, required: true },
+    amountRefunded: { type: Number, default: 0 },
+  }],
+  refunds: [{
+    amount: { type: Number, required: true },
+    // `store_credit`: paid out as store credit instead of to the original tenders
+    method: {
+      type: String,
+      enum: ['original', 'store_credit'],
+      default: 'original',
+    },
+    reason: String,
+    stripeRefundId: String,
+    status: {
+      type: String,
+      enum: ['pending', 'succeeded', 'failed', 'canceled', 'requires_action'],
+      default: 'pending',
+    },
+    // Where the money went: one part per PaymentIntent, gift card or credit
+    parts: [{
+      _id: false,
+      tender: {
+        type: String,
+        enum: ['card', 'gift_card', 'store_credit'],
+        default: 'card',
+      },
+      giftCard: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'GiftCard',
+      },
+      paymentIntentId: String,
+      stripeRefundId: String,
+      amount: Number,
+      status: String,
+    }],
+    items: [{
+      itemId: mongoose.Schema.Types.ObjectId,
+      quantity: Number,
+    }],
+    initiatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    failureMessage: String,
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  }],
+  shipments: [{
+    carrier: { type: String, required: true },
+    trackingNumber: { type: String, required: true },
+    trackingUrl: String,
+    items: [{
+      itemId: mongoose.Schema.Types.ObjectId, // _id of the line in order.items
+      quantity: Number,
+    }],
+    status: {
+      type: String,
+      enum: ['in_transit', 'delivered', 'exception'],
+      default: 'in_transit',
+    },
+    trackingEvents: [{
+      status: String,
+      description: String,
+      occurredAt: Date,
+    }],
+    shippedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    deliveredAt: Date,
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  }],
   orderStatus: {
     type: String,
-    enum: ['processing', 'shipped', 'delivered', 'cancelled'],
+    enum: ['processing', 'partially_shipped', 'shipped', 'delivered', 'cancelled'],
     default: 'processing',
   },
+  statusHistory: [{
+    status: {
+      type: String,
+      required: true,
+    },
+    from: String,
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    changedByRole: {
+      type: String,
+      enum: ['customer', 'guest', 'admin', 'system'],
+      default: 'system',
+    },
+    note: String,
+    changedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  }],
+  // Customer edits made before shipment (size, quantity, address)
+  modifications: [{
+    changes: [{
+      _id: false,
+      field: {
+        type: String,
+        enum: ['size', 'quantity', 'shippingInfo'],
+        required: true,
+      },
+      itemId: mongoose.Schema.Types.ObjectId, // line in order.items (item changes)
+      from: mongoose.Schema.Types.Mixed,
+      to: mongoose.Schema.Types.Mixed,
+    }],
+    previousTotal: Number,
+    newTotal: Number,
+    // Positive: charged to `paymentIntentId`; negative: refunded (`refundId`)
+    amountDifference: Number,
+    paymentIntentId: String,
+    refundId: mongoose.Schema.Types.ObjectId,
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    changedByRole: {
+      type: String,
+      enum: ['customer', 'admin'],
+      default: 'customer',
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  }],
+  // Support thread: internal notes (admins only) and messages the customer
+  // sees and can reply to. Not loaded unless selected with '+notes' so it
+  // never leaks into the customer-facing order responses.
+  notes: {
+    type: [{
+      body: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 2000,
+      },
+      visibility: {
+        type: String,
+        enum: ['internal', 'customer'],
+        default: 'internal',
+      },
+      author: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      authorName: String,
+      authorRole: {
+        type: String,
+        enum: ['customer', 'admin'],
+        required: true,
+      },
+      createdAt: {
+        type: Date,
+        default: Date.now,
+      },
+    }],
+    select: false,
+  },
+  deliveredAt: Date,
   createdAt: {
     type: Date,
     default: Date.now,
@@ -65,5 +321,19 @@ const orderSchema = new mongoose.Schema({
 
 // Add index for faster queries
 orderSchema.index({ user: 1, createdAt: -1 });
+orderSchema.index({ createdAt: -1 });
+orderSchema.index({ orderStatus: 1, createdAt: -1 });
+orderSchema.index({ 'paymentInfo.paymentStatus': 1, createdAt: -1 });
+// A PaymentIntent can only ever pay for one order
+orderSchema.index(
+  { 'paymentInfo.stripePaymentIntentId': 1 },
+  { unique: true, partialFilterExpression: { 'paymentInfo.stripePaymentIntentId': { $type: 'string' } } }
+);
+
+// An extra-charge PaymentIntent pays for one modification only
+orderSchema.index(
+  { 'paymentInfo.additionalCharges.paymentIntentId': 1 },
+  { unique: true, partialFilterExpression: { 'paymentInfo.additionalCharges.paymentIntentId': { $type: 'string' } } }
+);
 
 module.exports = mongoose.model('Order', orderSchema);
\ No newline at end of file
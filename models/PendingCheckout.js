@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+// A checkout between `create-payment-intent` and `create-order`. Stock for the
+// cart is held while the customer pays; the sweeper cancels the PaymentIntent
+// and releases the stock if no order follows before `expiresAt`.
+const pendingCheckoutSchema = new mongoose.Schema({
+  paymentIntentId: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  provider: String,
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: '',
+  },
+  // Address the checkout came from, to cap the holds one requester can open
+  ip: String,
+  // Cart snapshot, priced in `currency`
+  items: [{
+    _id: false,
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+    },
+    variant: mongoose.Schema.Types.ObjectId,
+    sku: String,
+    color: String,
+    width: String,
+    name: String,
+    price: Number,
+    size: Number,
+    quantity: Number,
+    image: String,
+  }],
+  currency: {
+    type: String,
+    uppercase: true,
+    default: 'USD',
+  },
+  exchangeRate: {
+    type: Number,
+    default: 1,
+  },
+  couponCode: String,
+  pricing: {
+    subtotal: Number,
+    discount: Number,
+    shipping: Number,
+    tax: Number,
+    total: Number,
+  },
+  // Left for the card after gift cards/store credit
+  amountDue: Number,
+  stockHeld: {
+    type: Boolean,
+    default: false,
+  },
+  // requires_attention: paid, but no order was ever created
+  status: {
+    type: String,
+    enum: ['pending', 'converting', 'expiring', 'completed', 'expired', 'requires_attention'],
+    default: 'pending',
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+  },
+  completedAt: Date,
+  expiredAt: Date,
+}, {
+  timestamps: true,
+});
+
+pendingCheckoutSchema.index({ status: 1, expiresAt: 1 });
+pendingCheckoutSchema.index({ status: 1, createdAt: -1 });
+pendingCheckoutSchema.index({ ip: 1, status: 1 });
+pendingCheckoutSchema.index({ user: 1, status: 1 });
+
+module.exports = mongoose.model('PendingCheckout', pendingCheckoutSchema);
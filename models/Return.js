@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+const returnSchema = new mongoose.Schema({
+  rmaNumber: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  items: [{
+    itemId: {
+      type: mongoose.Schema.Types.ObjectId, // _id of the line in order.items
+      required: true,
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+    },
+    variant: mongoose.Schema.Types.ObjectId,
+    sku: String,
+    color: String,
+    width: String,
+    name: String,
+    price: Number,
+    size: Number,
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    reason: String,
+    receivedQuantity: {
+      type: Number,
+      default: 0,
+    },
+    restocked: {
+      type: Boolean,
+      default: false,
+    },
+  }],
+  reason: {
+    type: String,
+    required: [true, 'Return reason is required'],
+    maxlength: 500,
+  },
+  status: {
+    type: String,
+    enum: ['requested', 'approved', 'rejected', 'received', 'refunded'],
+    default: 'requested',
+  },
+  adminNote: {
+    type: String,
+    default: '',
+  },
+  // Refund linked to this return (mirrors the entry in order.refunds)
+  refund: {
+    refundId: mongoose.Schema.Types.ObjectId,
+    amount: Number,
+    stripeRefundId: String,
+    status: String,
+  },
+  approvedAt: Date,
+  rejectedAt: Date,
+  receivedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  timestamps: true,
+});
+
+returnSchema.index({ user: 1, createdAt: -1 });
+returnSchema.index({ order: 1 });
+
+module.exports = mongoose.model('Return', returnSchema);
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Searches nobody has run for this long are forgotten
+const RETENTION_DAYS = Number(process.env.SEARCH_QUERY_RETENTION_DAYS ?? 90);
+
+// How often each search was run, for ranking autocomplete suggestions
+const searchQuerySchema = new mongoose.Schema({
+  // Folded, single-spaced query text
+  term: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  count: {
+    type: Number,
+    default: 0,
+  },
+  lastSearchedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  timestamps: true,
+});
+
+searchQuerySchema.index({ count: -1 });
+searchQuerySchema.index({ lastSearchedAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('SearchQuery', searchQuerySchema);
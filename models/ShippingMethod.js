@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+const shippingMethodSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Method code is required'],
+    unique: true,
+    lowercase: true,
+    trim: true, // e.g. standard, express, overnight
+  },
+  name: {
+    type: String,
+    required: [true, 'Method name is required'],
+    trim: true,
+  },
+  description: {
+    type: String,
+    default: '',
+  },
+  estimatedDays: {
+    min: { type: Number, default: 3 },
+    max: { type: Number, default: 7 },
+  },
+  // Rates per destination zone. A zone with no countries matches anywhere
+  // (rest of world); one with states only matches those states.
+  zones: [{
+    name: {
+      type: String,
+      required: true,
+    },
+    countries: [{
+      type: String,
+      uppercase: true,
+      trim: true,
+    }],
+    states: [{
+      type: String,
+      uppercase: true,
+      trim: true,
+    }],
+    baseRate: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    perItemRate: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    perKgRate: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Orders with a subtotal at or above this ship free (null = never)
+    freeShippingThreshold: {
+      type: Number,
+      default: null,
+    },
+  }],
+  sortOrder: {
+    type: Number,
+    default: 0,
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+}, {
+  timestamps: true,
+});
+
+module.exports = mongoose.model('ShippingMethod', shippingMethodSchema);
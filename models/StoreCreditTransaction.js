@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// Ledger behind User.storeCredit (which is always the sum of a user's entries)
+const storeCreditTransactionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  type: {
+    type: String,
+    enum: ['issue', 'redeem', 'refund', 'adjust'],
+    required: true,
+  },
+  // Positive adds credit, negative spends it (base currency)
+  amount: {
+    type: Number,
+    required: true,
+  },
+  balanceAfter: Number,
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+  },
+  orderNumber: String,
+  note: {
+    type: String,
+    default: '',
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+storeCreditTransactionSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('StoreCreditTransaction', storeCreditTransactionSchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const taxRateSchema = new mongoose.Schema({
+  // Label used on orders and in the liability report, e.g. "CA State"
+  jurisdiction: {
+    type: String,
+    required: [true, 'Jurisdiction name is required'],
+    trim: true,
+  },
+  country: {
+    type: String,
+    required: [true, 'Country is required'],
+    uppercase: true,
+    trim: true,
+  },
+  // Empty = applies to the whole country
+  state: {
+    type: String,
+    default: '',
+    uppercase: true,
+    trim: true,
+  },
+  // Empty = applies to the whole state; otherwise matched against the start of the ZIP
+  zipPrefix: {
+    type: String,
+    default: '',
+    trim: true,
+  },
+  rate: {
+    type: Number,
+    required: [true, 'Rate is required'],
+    min: [0, 'Rate cannot be negative'],
+    max: [1, 'Rate is a fraction, e.g. 0.0725 for 7.25%'],
+  },
+  // Per-category rate for this jurisdiction (0 = exempt)
+  categoryOverrides: [{
+    category: {
+      type: String,
+      enum: ['running', 'casual', 'sports', 'formal', 'sneakers'],
+      required: true,
+    },
+    rate: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 1,
+    },
+  }],
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+}, {
+  timestamps: true,
+});
+
+taxRateSchema.index({ country: 1, state: 1, zipPrefix: 1 });
+
+module.exports = mongoose.model('TaxRate', taxRateSchema);
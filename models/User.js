@@ -17,6 +17,13 @@ const userSchema = new mongoose.Schema({
       'Please enter a valid email',
     ],
   },
+  // Set once the holder follows the link mailed to `email`; needed before
+  // guest orders placed with the address can be listed or claimed
+  emailVerified: {
+    type: Boolean,
+    default: false,
+  },
+  emailVerifiedAt: Date,
   password: {
     type: String,
     required: [true, 'Password is required'],
@@ -48,6 +55,12 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: 'US',
   },
+  // Spendable at checkout, in the base currency (ledger: StoreCreditTransaction)
+  storeCredit: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
   role: {
     type: String,
     enum: ['user', 'admin'],
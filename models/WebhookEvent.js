@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+const webhookEventSchema = new mongoose.Schema({
+  eventId: {
+    type: String,
+    required: true,
+    unique: true, // Stripe event ID - used to skip duplicate deliveries
+  },
+  type: {
+    type: String,
+    required: true,
+  },
+  paymentIntentId: {
+    type: String,
+    default: null,
+  },
+  // Whether a matching order was found and updated
+  handled: {
+    type: Boolean,
+    default: false,
+  },
+  processedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  timestamps: true,
+});
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
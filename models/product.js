@@ -17,6 +17,20 @@ const productSchema = new mongoose.Schema({
     required: [true, 'Price is required'],
     min: [0, 'Price cannot be negative']
   },
+  // Optional fixed prices in other currencies (otherwise converted from `price`)
+  prices: [{
+    currency: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: [0, 'Price cannot be negative']
+    }
+  }],
   brand: {
     type: String,
     required: [true, 'Brand is required'],
@@ -40,6 +54,50 @@ const productSchema = new mongoose.Schema({
       default: 0
     }
   }],
+  // Colorways/widths of the same shoe, one entry per color + width + size.
+  // Products with variants keep their stock here; `sizes` is only used by
+  // products without variants.
+  variants: [{
+    sku: {
+      type: String,
+      required: [true, 'Variant SKU is required'],
+      trim: true,
+      uppercase: true
+    },
+    color: {
+      type: String,
+      required: [true, 'Variant color is required'],
+      trim: true
+    },
+    width: {
+      type: String,
+      enum: ['narrow', 'standard', 'wide', 'extra_wide'],
+      default: 'standard'
+    },
+    size: {
+      type: Number,
+      required: true
+    },
+    stock: {
+      type: Number,
+      required: true,
+      min: 0,
+      default: 0
+    },
+    // Replaces the product's prices (converted for other currencies) when set
+    price: {
+      type: Number,
+      min: [0, 'Price cannot be negative']
+    },
+    // Falls back to the product images when empty
+    images: [String]
+  }],
+  // Shipping weight per pair, in kg
+  weight: {
+    type: Number,
+    default: 1,
+    min: [0, 'Weight cannot be negative']
+  },
   images: [{
     type: String,
     required: true
@@ -59,6 +117,11 @@ const productSchema = new mongoose.Schema({
     type: Number,
     default: 0,
   },
+  // Units on placed orders, less cancellations (for "best selling" sorting)
+  soldCount: {
+    type: Number,
+    default: 0,
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -67,4 +130,25 @@ const productSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Each SKU and each color + width + size can only appear once per product
+productSchema.path('variants').validate((variants) => {
+  const skus = new Set(variants.map(v => v.sku));
+  const keys = new Set(variants.map(v => `${String(v.color).toLowerCase()}|${v.width}|${v.size}`));
+  return skus.size === variants.length && keys.size === variants.length;
+}, 'Variants must have unique SKUs and unique color/width/size combinations');
+
+// Listing sorts and filters
+productSchema.index({ createdAt: -1 });
+productSchema.index({ price: 1 });
+productSchema.index({ averageRating: -1 });
+productSchema.index({ soldCount: -1 });
+productSchema.index({ brand: 1 });
+productSchema.index({ category: 1 });
+
+// SKUs are unique across the catalogue
+productSchema.index(
+  { 'variants.sku': 1 },
+  { unique: true, partialFilterExpression: { 'variants.sku': { $type: 'string' } } }
+);
+
 module.exports = mongoose.model('Product', productSchema);
\ No newline at end of file
@@ -0,0 +1,166 @@
+const express = require('express');
+const router = express.Router();
+const verifyAuthToken = require('../utils/authToken');
+const User = require('../models/User');
+const Coupon = require('../models/Coupon');
+
+// Middleware to verify admin
+const verifyAdmin = async (req, res, next) => {
+  try {
+    const token = req.headers.authorization?.split(' ')[1];
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authenticated',
+      });
+    }
+
+    const decoded = verifyAuthToken(token);
+    const user = await User.findById(decoded.id);
+
+    if (!user || user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized',
+      });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid token',
+    });
+  }
+};
+
+// Usage is tracked by checkout, never set through the admin API
+const stripUsage = ({ usageCount, ...data }) => data;
+
+// GET ALL COUPONS
+router.get('/', verifyAdmin, async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.active !== undefined) {
+      filter.isActive = req.query.active === 'true';
+    }
+
+    const coupons = await Coupon.find(filter).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: coupons,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch coupons',
+      error: error.message,
+    });
+  }
+});
+
+// GET COUPON BY ID
+router.get('/:id', verifyAdmin, async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: coupon,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch coupon',
+    });
+  }
+});
+
+// CREATE COUPON
+router.post('/', verifyAdmin, async (req, res) => {
+  try {
+    const coupon = await Coupon.create(stripUsage(req.body));
+
+    res.status(201).json({
+      success: true,
+      data: coupon,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A coupon with this code already exists',
+      });
+    }
+
+    res.status(400).json({
+      success: false,
+      message: 'Invalid coupon data',
+      error: error.message,
+    });
+  }
+});
+
+// UPDATE COUPON
+router.put('/:id', verifyAdmin, async (req, res) => {
+  try {
+    const coupon = await Coupon.findByIdAndUpdate(
+      req.params.id,
+      stripUsage(req.body),
+      { new: true, runValidators: true }
+    );
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: coupon,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Update failed',
+      error: error.message,
+    });
+  }
+});
+
+// DELETE COUPON
+router.delete('/:id', verifyAdmin, async (req, res) => {
+  try {
+    const coupon = await Coupon.findByIdAndDelete(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Coupon deleted successfully',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Delete failed',
+    });
+  }
+});
+
+module.exports = router;
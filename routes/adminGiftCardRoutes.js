@@ -0,0 +1,192 @@
+const express = require('express');
+const router = express.Router();
+const verifyAuthToken = require('../utils/authToken');
+const User = require('../models/User');
+const GiftCard = require('../models/GiftCard');
+const giftCardService = require('../services/giftCardService');
+const { parsePagination } = require('../services/orderQueryService');
+const ApiError = require('../utils/ApiError');
+const escapeRegex = require('../utils/escapeRegex');
+
+// Middleware to verify admin
+const verifyAdmin = async (req, res, next) => {
+  try {
+    const token = req.headers.authorization?.split(' ')[1];
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authenticated',
+      });
+    }
+
+    const decoded = verifyAuthToken(token);
+    const user = await User.findById(decoded.id);
+
+    if (!user || user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized',
+      });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid token',
+    });
+  }
+};
+
+// Send ApiErrors with their status, anything else as a 500
+const handleError = (res, error, message) => {
+  if (error instanceof ApiError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      ...error.details,
+    });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message,
+  });
+};
+
+// GET ALL GIFT CARDS (?search=code or recipient, ?active=true|false)
+router.get('/', verifyAdmin, async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.active !== undefined) {
+      filter.isActive = req.query.active === 'true';
+    }
+    if (req.query.search) {
+      const pattern = { $regex: escapeRegex(String(req.query.search).trim()), $options: 'i' };
+      filter.$or = [{ code: pattern }, { recipientEmail: pattern }];
+    }
+
+    const { page, limit, skip } = parsePagination(req.query);
+    const [cards, total] = await Promise.all([
+      GiftCard.find(filter).select('-transactions').sort({ createdAt: -1 }).skip(skip).limit(limit),
+      GiftCard.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      data: cards,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch gift cards');
+  }
+});
+
+// GET GIFT CARD BY ID (with its ledger)
+router.get('/:id', verifyAdmin, async (req, res) => {
+  try {
+    const card = await GiftCard.findById(req.params.id);
+
+    if (!card) {
+      return res.status(404).json({
+        success: false,
+        message: 'Gift card not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: card,
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch gift card');
+  }
+});
+
+// ISSUE GIFT CARD
+router.post('/', verifyAdmin, async (req, res) => {
+  try {
+    const { amount, currency, expiresAt, recipientEmail, message } = req.body;
+
+    const card = await giftCardService.issueGiftCard({
+      amount,
+      currency,
+      expiresAt: expiresAt ? new Date(expiresAt) : undefined,
+      recipientEmail,
+      message,
+      issuedBy: req.user._id,
+    });
+
+    console.log(`🎁 Gift card ${giftCardService.maskCode(card.code)} issued by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      data: card,
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to issue gift card');
+  }
+});
+
+// UPDATE GIFT CARD (activation, expiry, recipient - never the balance)
+router.patch('/:id', verifyAdmin, async (req, res) => {
+  try {
+    const updates = {};
+    ['isActive', 'expiresAt', 'recipientEmail', 'message'].forEach((field) => {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    });
+
+    const card = await GiftCard.findByIdAndUpdate(req.params.id, updates, { new: true, runValidators: true });
+
+    if (!card) {
+      return res.status(404).json({
+        success: false,
+        message: 'Gift card not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: card,
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to update gift card');
+  }
+});
+
+// ADJUST GIFT CARD BALANCE (signed amount, recorded in the ledger)
+router.post('/:id/adjust', verifyAdmin, async (req, res) => {
+  try {
+    const { amount, note } = req.body;
+
+    if (!note) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please give a reason for the adjustment',
+      });
+    }
+
+    const card = await giftCardService.adjustCard(req.params.id, amount, {
+      note,
+      createdBy: req.user._id,
+    });
+
+    res.json({
+      success: true,
+      message: 'Gift card balance adjusted',
+      data: card,
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to adjust gift card');
+  }
+});
+
+module.exports = router;
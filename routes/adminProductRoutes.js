@@ -0,0 +1,110 @@
+const express = require('express');
+const router = express.Router();
+const verifyAuthToken = require('../utils/authToken');
+const User = require('../models/User');
+const Product = require('../models/product');
+const productImportService = require('../services/productImportService');
+const ApiError = require('../utils/ApiError');
+
+// Middleware to verify admin
+const verifyAdmin = async (req, res, next) => {
+  try {
+    const token = req.headers.authorization?.split(' ')[1];
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authenticated',
+      });
+    }
+
+    const decoded = verifyAuthToken(token);
+    const user = await User.findById(decoded.id);
+
+    if (!user || user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized',
+      });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid token',
+    });
+  }
+};
+
+// Send ApiErrors with their status, anything else as a 500
+const handleError = (res, error, message) => {
+  if (error instanceof ApiError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      ...error.details,
+    });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message,
+  });
+};
+
+// BULK IMPORT PRODUCTS FROM CSV OR JSON
+// CSV (Content-Type text/csv) is one row per variant or size, as exported
+// below; JSON is an array of products. Rows upsert by SKU, then by name and
+// brand. ?dryRun=true validates and reports the changes without saving.
+router.post('/import', verifyAdmin, async (req, res) => {
+  try {
+    const format = req.is('text/csv') || req.is('text/plain') ? 'csv' : 'json';
+    const dryRun = req.query.dryRun === 'true';
+
+    if (format === 'csv' && typeof req.body !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Please send the CSV as the request body',
+      });
+    }
+
+    const result = await productImportService.importProducts({ format, body: req.body, dryRun });
+    const { create, update, unchanged, error } = result.summary;
+
+    res.json({
+      success: error === 0,
+      message: dryRun
+        ? `Dry run: ${create} to create, ${update} to update, ${unchanged} unchanged, ${error} with errors`
+        : `Imported: ${create} created, ${update} updated, ${unchanged} unchanged, ${error} with errors`,
+      data: result,
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to import products');
+  }
+});
+
+// EXPORT THE CATALOGUE AS CSV OR JSON (streamed, re-importable)
+router.get('/export', verifyAdmin, async (req, res) => {
+  try {
+    const format = req.query.format === 'json' ? 'json' : 'csv';
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json');
+    res.setHeader('Content-Disposition', `attachment; filename="products-${date}.${format}"`);
+
+    const cursor = Product.find().sort({ brand: 1, name: 1 }).lean().cursor();
+    await productImportService.streamProducts(cursor, format, res);
+  } catch (error) {
+    // Headers are already gone once streaming has started
+    if (res.headersSent) {
+      console.error('Product export failed mid-stream:', error);
+      return res.end();
+    }
+    handleError(res, error, 'Failed to export products');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,191 @@
+const express = require('express');
+const router = express.Router();
+const verifyAuthToken = require('../utils/authToken');
+const User = require('../models/User');
+const Return = require('../models/Return');
+const returnService = require('../services/returnService');
+const ApiError = require('../utils/ApiError');
+const { formatMoney } = require('../utils/money');
+
+// Middleware to verify admin
+const verifyAdmin = async (req, res, next) => {
+  try {
+    const token = req.headers.authorization?.split(' ')[1];
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authenticated',
+      });
+    }
+
+    const decoded = verifyAuthToken(token);
+    const user = await User.findById(decoded.id);
+
+    if (!user || user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized',
+      });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid token',
+    });
+  }
+};
+
+// Load the return for :id or respond 404
+const findReturn = async (req, res) => {
+  const ret = await Return.findById(req.params.id);
+
+  if (!ret) {
+    res.status(404).json({
+      success: false,
+      message: 'Return not found',
+    });
+  }
+
+  return ret;
+};
+
+const handleError = (res, error, message) => {
+  if (error instanceof ApiError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      ...error.details,
+    });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message,
+  });
+};
+
+// GET ALL RETURNS (optionally filtered by status)
+router.get('/', verifyAdmin, async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const returns = await Return.find(filter)
+      .sort({ createdAt: -1 })
+      .populate('order', 'orderNumber shippingInfo.email')
+      .populate('user', 'name email');
+
+    res.json({
+      success: true,
+      data: returns,
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch returns');
+  }
+});
+
+// GET RETURN BY ID
+router.get('/:id', verifyAdmin, async (req, res) => {
+  try {
+    const ret = await Return.findById(req.params.id)
+      .populate('order')
+      .populate('user', 'name email');
+
+    if (!ret) {
+      return res.status(404).json({
+        success: false,
+        message: 'Return not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: ret,
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch return');
+  }
+});
+
+// APPROVE RETURN
+router.patch('/:id/approve', verifyAdmin, async (req, res) => {
+  try {
+    const ret = await findReturn(req, res);
+    if (!ret) return;
+
+    await returnService.approveReturn(ret, { note: req.body?.note });
+
+    res.json({
+      success: true,
+      message: `Return ${ret.rmaNumber} approved`,
+      data: ret,
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to approve return');
+  }
+});
+
+// REJECT RETURN
+router.patch('/:id/reject', verifyAdmin, async (req, res) => {
+  try {
+    const ret = await findReturn(req, res);
+    if (!ret) return;
+
+    await returnService.rejectReturn(ret, { note: req.body?.note });
+
+    res.json({
+      success: true,
+      message: `Return ${ret.rmaNumber} rejected`,
+      data: ret,
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to reject return');
+  }
+});
+
+// MARK RETURN RECEIVED (optionally restock and refund)
+router.patch('/:id/receive', verifyAdmin, async (req, res) => {
+  try {
+    const ret = await findReturn(req, res);
+    if (!ret) return;
+
+    const { items, refund, refundMethod, note } = req.body || {};
+
+    if (refundMethod !== undefined && !['original', 'store_credit'].includes(refundMethod)) {
+      return res.status(400).json({
+        success: false,
+        message: 'refundMethod must be original or store_credit',
+      });
+    }
+
+    const result = await returnService.receiveReturn(ret, {
+      items,
+      refund: refund !== false,
+      refundMethod,
+      note,
+      initiatedBy: req.user._id,
+    });
+
+    console.log(`📦 Return ${ret.rmaNumber} received (${ret.status})`);
+
+    res.json({
+      success: true,
+      message: result.refund
+        ? `Return received. Refund of ${formatMoney(result.refund.amount, result.currency)} issued${result.refund.method === 'store_credit' ? ' as store credit' : ''}.`
+        : 'Return received',
+      data: ret,
+      refund: result.refund,
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to receive return');
+  }
+});
+
+module.exports = router;
@@ -1,9 +1,25 @@
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
+const verifyAuthToken = require('../utils/authToken');
 const User = require('../models/User');
 const Product = require('../models/product');
 const Order = require('../models/Order');
+const ExchangeRate = require('../models/ExchangeRate');
+const { BASE_CURRENCY, SUPPORTED_CURRENCIES } = require('../services/currencyService');
+const inventoryService = require('../services/inventoryService');
+
+// Order total converted back to the base currency (orders store the rate used)
+const baseCurrencyTotal = {
+  $divide: ['$pricing.total', { $ifNull: ['$exchangeRate', 1] }],
+};
+
+// What the order brought in after refunds, in the base currency
+const baseCurrencyNetRevenue = {
+  $divide: [
+    { $subtract: ['$pricing.total', { $ifNull: ['$paymentInfo.amountRefunded', 0] }] },
+    { $ifNull: ['$exchangeRate', 1] },
+  ],
+};
 
 // Middleware to verify admin
 const verifyAdmin = async (req, res, next) => {
@@ -16,7 +32,7 @@ const verifyAdmin = async (req, res, next) => {
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = verifyAuthToken(token);
     const user = await User.findById(decoded.id);
 
     if (!user || user.role !== 'admin') {
@@ -53,7 +69,7 @@ router.get('/stats', verifyAdmin, async (req, res) => {
       {
         $group: {
           _id: null,
-          total: { $sum: '$pricing.total' },
+          total: { $sum: baseCurrencyTotal },
         },
       },
     ]);
@@ -88,7 +104,7 @@ router.get('/stats', verifyAdmin, async (req, res) => {
       {
         $group: {
           _id: null,
-          total: { $sum: '$pricing.total' },
+          total: { $sum: baseCurrencyTotal },
         },
       },
     ]);
@@ -118,7 +134,8 @@ router.get('/stats', verifyAdmin, async (req, res) => {
           change: `+${calculateChange(recentUsers, totalUsers)}%`,
         },
         revenue: {
-          total: totalRevenue,
+          total: Math.round(totalRevenue * 100) / 100,
+          currency: BASE_CURRENCY,
           change: `+${calculateChange(recentRevenue, totalRevenue)}%`,
         },
       },
@@ -142,13 +159,13 @@ router.get('/recent-activity', verifyAdmin, async (req, res) => {
     const recentOrders = await Order.find()
       .sort({ createdAt: -1 })
       .limit(5)
-      .select('orderNumber pricing.total createdAt shippingInfo');
+      .select('orderNumber pricing.total currency createdAt shippingInfo');
 
     recentOrders.forEach((order) => {
       activities.push({
         type: 'order',
         title: 'New order received',
-        description: `Order #${order.orderNumber} - $${order.pricing.total.toFixed(2)}`,
+        description: `Order #${order.orderNumber} - ${order.currency || BASE_CURRENCY} ${order.pricing.total.toFixed(2)}`,
         time: order.createdAt,
       });
     });
@@ -211,7 +228,7 @@ router.get('/revenue-chart', verifyAdmin, async (req, res) => {
       {
         $match: {
           createdAt: { $gte: sevenDaysAgo },
-          'paymentInfo.paymentStatus': 'paid',
+          'paymentInfo.paymentStatus': { $in: ['paid', 'partially_refunded'] },
         },
       },
       {
@@ -219,7 +236,7 @@ router.get('/revenue-chart', verifyAdmin, async (req, res) => {
           _id: {
             $dateToString: { format: '%Y-%m-%d', date: '$createdAt' },
           },
-          revenue: { $sum: '$pricing.total' },
+          revenue: { $sum: baseCurrencyNetRevenue },
           orders: { $sum: 1 },
         },
       },
@@ -230,6 +247,7 @@ router.get('/revenue-chart', verifyAdmin, async (req, res) => {
 
     res.json({
       success: true,
+      currency: BASE_CURRENCY,
       data: revenueByDay,
     });
   } catch (error) {
@@ -252,7 +270,12 @@ router.get('/top-products', verifyAdmin, async (req, res) => {
           _id: '$items.product',
           totalSold: { $sum: '$items.quantity' },
           revenue: {
-            $sum: { $multiply: ['$items.price', '$items.quantity'] },
+            $sum: {
+              $divide: [
+                { $multiply: ['$items.price', '$items.quantity'] },
+                { $ifNull: ['$exchangeRate', 1] },
+              ],
+            },
           },
         },
       },
@@ -283,4 +306,111 @@ router.get('/top-products', verifyAdmin, async (req, res) => {
   }
 });
 
+// RECOUNT PRODUCT SALES (feeds the "best selling" sort; run once for
+// products sold before sales were counted)
+router.post('/products/recalculate-sales', verifyAdmin, async (req, res) => {
+  try {
+    const updated = await inventoryService.recalculateSoldCounts();
+
+    res.json({
+      success: true,
+      message: `Sales counts recalculated for ${updated} products`,
+    });
+  } catch (error) {
+    console.error('Error recalculating sales counts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to recalculate sales counts',
+      error: error.message,
+    });
+  }
+});
+
+// GET EXCHANGE RATES
+router.get('/fx-rates', verifyAdmin, async (req, res) => {
+  try {
+    const rates = await ExchangeRate.find().sort({ currency: 1 });
+
+    res.json({
+      success: true,
+      baseCurrency: BASE_CURRENCY,
+      supportedCurrencies: SUPPORTED_CURRENCIES,
+      data: rates,
+    });
+  } catch (error) {
+    console.error('Error fetching exchange rates:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch exchange rates',
+      error: error.message,
+    });
+  }
+});
+
+// SET EXCHANGE RATE (units of :currency per base currency unit)
+router.put('/fx-rates/:currency', verifyAdmin, async (req, res) => {
+  try {
+    const currency = req.params.currency.toUpperCase();
+    const rate = Number(req.body.rate);
+
+    if (currency === BASE_CURRENCY || !SUPPORTED_CURRENCIES.includes(currency)) {
+      return res.status(400).json({
+        success: false,
+        message: `Exchange rates can be set for: ${SUPPORTED_CURRENCIES.filter(c => c !== BASE_CURRENCY).join(', ')}`,
+      });
+    }
+
+    if (!rate || rate <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Rate must be a positive number',
+      });
+    }
+
+    const exchangeRate = await ExchangeRate.findOneAndUpdate(
+      { currency },
+      { rate, updatedBy: req.user._id },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    res.json({
+      success: true,
+      data: exchangeRate,
+    });
+  } catch (error) {
+    console.error('Error updating exchange rate:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update exchange rate',
+      error: error.message,
+    });
+  }
+});
+
+// DELETE EXCHANGE RATE
+router.delete('/fx-rates/:currency', verifyAdmin, async (req, res) => {
+  try {
+    const exchangeRate = await ExchangeRate.findOneAndDelete({
+      currency: req.params.currency.toUpperCase(),
+    });
+
+    if (!exchangeRate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exchange rate not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Exchange rate deleted successfully',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete exchange rate',
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,134 @@
+const express = require('express');
+const router = express.Router();
+const verifyAuthToken = require('../utils/authToken');
+const User = require('../models/User');
+const ShippingMethod = require('../models/ShippingMethod');
+
+// Middleware to verify admin
+const verifyAdmin = async (req, res, next) => {
+  try {
+    const token = req.headers.authorization?.split(' ')[1];
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authenticated',
+      });
+    }
+
+    const decoded = verifyAuthToken(token);
+    const user = await User.findById(decoded.id);
+
+    if (!user || user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized',
+      });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid token',
+    });
+  }
+};
+
+// GET ALL SHIPPING METHODS
+router.get('/', verifyAdmin, async (req, res) => {
+  try {
+    const methods = await ShippingMethod.find().sort({ sortOrder: 1, createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: methods,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch shipping methods',
+      error: error.message,
+    });
+  }
+});
+
+// CREATE SHIPPING METHOD
+router.post('/', verifyAdmin, async (req, res) => {
+  try {
+    const method = await ShippingMethod.create(req.body);
+
+    res.status(201).json({
+      success: true,
+      data: method,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A shipping method with this code already exists',
+      });
+    }
+
+    res.status(400).json({
+      success: false,
+      message: 'Invalid shipping method data',
+      error: error.message,
+    });
+  }
+});
+
+// UPDATE SHIPPING METHOD
+router.put('/:id', verifyAdmin, async (req, res) => {
+  try {
+    const method = await ShippingMethod.findByIdAndUpdate(
+      req.params.id,
+      req.body,
+      { new: true, runValidators: true }
+    );
+
+    if (!method) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipping method not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: method,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Update failed',
+      error: error.message,
+    });
+  }
+});
+
+// DELETE SHIPPING METHOD
+router.delete('/:id', verifyAdmin, async (req, res) => {
+  try {
+    const method = await ShippingMethod.findByIdAndDelete(req.params.id);
+
+    if (!method) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipping method not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Shipping method deleted successfully',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Delete failed',
+    });
+  }
+});
+
+module.exports = router;
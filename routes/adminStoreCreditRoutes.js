@@ -0,0 +1,124 @@
+const express = require('express');
+const router = express.Router();
+const verifyAuthToken = require('../utils/authToken');
+const User = require('../models/User');
+const storeCreditService = require('../services/storeCreditService');
+const { BASE_CURRENCY } = require('../services/currencyService');
+const ApiError = require('../utils/ApiError');
+
+// Middleware to verify admin
+const verifyAdmin = async (req, res, next) => {
+  try {
+    const token = req.headers.authorization?.split(' ')[1];
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authenticated',
+      });
+    }
+
+    const decoded = verifyAuthToken(token);
+    const user = await User.findById(decoded.id);
+
+    if (!user || user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized',
+      });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid token',
+    });
+  }
+};
+
+// Send ApiErrors with their status, anything else as a 500
+const handleError = (res, error, message) => {
+  if (error instanceof ApiError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      ...error.details,
+    });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message,
+  });
+};
+
+// GET A USER'S STORE CREDIT (balance and ledger)
+router.get('/:userId', verifyAdmin, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId).select('name email storeCredit');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    const transactions = await storeCreditService.listTransactions(user._id)
+      .populate('createdBy', 'name email');
+
+    res.json({
+      success: true,
+      data: {
+        user,
+        balance: user.storeCredit,
+        currency: BASE_CURRENCY,
+        transactions,
+      },
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch store credit');
+  }
+});
+
+// ISSUE OR REMOVE STORE CREDIT (goodwill, corrections)
+// Positive amounts issue credit, negative amounts take it away.
+router.post('/:userId', verifyAdmin, async (req, res) => {
+  try {
+    const amount = Number(req.body.amount);
+    const { note } = req.body;
+
+    if (!Number.isFinite(amount) || amount === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a non-zero amount',
+      });
+    }
+    if (!note) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please give a reason',
+      });
+    }
+
+    const details = { note, createdBy: req.user._id };
+    const transaction = amount > 0
+      ? await storeCreditService.creditUser(req.params.userId, amount, { type: 'issue', ...details })
+      : await storeCreditService.debitUser(req.params.userId, -amount, { type: 'adjust', ...details });
+
+    console.log(`🎟️  Store credit ${amount > 0 ? 'issued' : 'removed'}: ${Math.abs(amount).toFixed(2)} for user ${req.params.userId}`);
+
+    res.status(201).json({
+      success: true,
+      message: amount > 0 ? 'Store credit issued' : 'Store credit removed',
+      data: transaction,
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to update store credit');
+  }
+});
+
+module.exports = router;
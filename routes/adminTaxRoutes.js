@@ -0,0 +1,223 @@
+const express = require('express');
+const router = express.Router();
+const verifyAuthToken = require('../utils/authToken');
+const User = require('../models/User');
+const Order = require('../models/Order');
+const TaxRate = require('../models/TaxRate');
+
+// Middleware to verify admin
+const verifyAdmin = async (req, res, next) => {
+  try {
+    const token = req.headers.authorization?.split(' ')[1];
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authenticated',
+      });
+    }
+
+    const decoded = verifyAuthToken(token);
+    const user = await User.findById(decoded.id);
+
+    if (!user || user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized',
+      });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid token',
+    });
+  }
+};
+
+// GET TAX LIABILITY REPORT (by jurisdiction and month)
+router.get('/report', verifyAdmin, async (req, res) => {
+  try {
+    const { from, to, country, state } = req.query;
+
+    const match = {
+      orderStatus: { $ne: 'cancelled' },
+      'paymentInfo.paymentStatus': { $in: ['paid', 'partially_refunded', 'disputed'] },
+    };
+    if (from || to) {
+      match.createdAt = {};
+      if (from) match.createdAt.$gte = new Date(from);
+      if (to) match.createdAt.$lte = new Date(to);
+    }
+
+    const jurisdictionMatch = {};
+    if (country) jurisdictionMatch['items.taxBreakdown.country'] = country.toUpperCase();
+    if (state) jurisdictionMatch['items.taxBreakdown.state'] = state.toUpperCase();
+
+    const report = await Order.aggregate([
+      { $match: match },
+      { $unwind: '$items' },
+      { $unwind: '$items.taxBreakdown' },
+      { $match: jurisdictionMatch },
+      {
+        $project: {
+          month: { $dateToString: { format: '%Y-%m', date: '$createdAt' } },
+          jurisdiction: '$items.taxBreakdown.jurisdiction',
+          country: '$items.taxBreakdown.country',
+          state: '$items.taxBreakdown.state',
+          rate: '$items.taxBreakdown.rate',
+          // Leave out units that were cancelled after the order was placed
+          keptRatio: {
+            $cond: [
+              { $gt: ['$items.quantity', 0] },
+              {
+                $divide: [
+                  { $subtract: ['$items.quantity', { $ifNull: ['$items.cancelledQuantity', 0] }] },
+                  '$items.quantity',
+                ],
+              },
+              0,
+            ],
+          },
+          amount: '$items.taxBreakdown.amount',
+          taxable: '$items.taxBreakdown.taxable',
+        },
+      },
+      {
+        $group: {
+          _id: {
+            month: '$month',
+            jurisdiction: '$jurisdiction',
+            country: '$country',
+            state: '$state',
+          },
+          taxableSales: { $sum: { $multiply: ['$taxable', '$keptRatio'] } },
+          taxCollected: { $sum: { $multiply: ['$amount', '$keptRatio'] } },
+          rates: { $addToSet: '$rate' },
+          orders: { $addToSet: '$_id' },
+        },
+      },
+      {
+        $project: {
+          _id: 0,
+          month: '$_id.month',
+          jurisdiction: '$_id.jurisdiction',
+          country: '$_id.country',
+          state: '$_id.state',
+          rates: 1,
+          taxableSales: { $round: ['$taxableSales', 2] },
+          taxCollected: { $round: ['$taxCollected', 2] },
+          orders: { $size: '$orders' },
+        },
+      },
+      { $sort: { month: 1, jurisdiction: 1 } },
+    ]);
+
+    const totalTax = report.reduce((sum, row) => sum + row.taxCollected, 0);
+
+    res.json({
+      success: true,
+      data: report,
+      totalTax: Math.round(totalTax * 100) / 100,
+    });
+  } catch (error) {
+    console.error('Error building tax report:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build tax report',
+      error: error.message,
+    });
+  }
+});
+
+// GET ALL TAX RATES
+router.get('/rates', verifyAdmin, async (req, res) => {
+  try {
+    const rates = await TaxRate.find().sort({ country: 1, state: 1, zipPrefix: 1 });
+
+    res.json({
+      success: true,
+      data: rates,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch tax rates',
+      error: error.message,
+    });
+  }
+});
+
+// CREATE TAX RATE
+router.post('/rates', verifyAdmin, async (req, res) => {
+  try {
+    const rate = await TaxRate.create(req.body);
+
+    res.status(201).json({
+      success: true,
+      data: rate,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid tax rate data',
+      error: error.message,
+    });
+  }
+});
+
+// UPDATE TAX RATE
+router.put('/rates/:id', verifyAdmin, async (req, res) => {
+  try {
+    const rate = await TaxRate.findByIdAndUpdate(
+      req.params.id,
+      req.body,
+      { new: true, runValidators: true }
+    );
+
+    if (!rate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tax rate not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: rate,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Update failed',
+      error: error.message,
+    });
+  }
+});
+
+// DELETE TAX RATE
+router.delete('/rates/:id', verifyAdmin, async (req, res) => {
+  try {
+    const rate = await TaxRate.findByIdAndDelete(req.params.id);
+
+    if (!rate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tax rate not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Tax rate deleted successfully',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Delete failed',
+    });
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const jwt = require('jsonwebtoken');
+const verifyAuthToken = require('../utils/authToken');
 const User = require('../models/User');
+const guestOrderService = require('../services/guestOrderService');
+const emailVerificationService = require('../services/emailVerificationService');
+const ApiError = require('../utils/ApiError');
 
 // Generate JWT Token
 const generateToken = (id) => {
@@ -15,6 +19,7 @@ const getUserData = (user) => {
     name: user.name,
     email: user.email,
     role: user.role,
+    emailVerified: user.emailVerified,
     phone: user.phone,
     address: user.address,
     city: user.city,
@@ -62,6 +67,9 @@ router.post('/register', async (req, res) => {
     // Generate token
     const token = generateToken(user._id);
 
+    // Guest orders placed with this email can be claimed once it's verified
+    await emailVerificationService.sendVerification(user);
+
     res.status(201).json({
       success: true,
       token,
@@ -178,7 +186,7 @@ router.get('/me', async (req, res) => {
     }
 
     // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = verifyAuthToken(token);
     const user = await User.findById(decoded.id);
 
     res.json({
@@ -193,4 +201,66 @@ router.get('/me', async (req, res) => {
   }
 });
 
+// RESEND THE EMAIL VERIFICATION LINK
+router.post('/verify-email/resend', async (req, res) => {
+  try {
+    const token = req.headers.authorization?.split(' ')[1];
+    let user = null;
+    try {
+      user = token ? await User.findById(verifyAuthToken(token).id) : null;
+    } catch (error) {
+      user = null;
+    }
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authenticated',
+      });
+    }
+
+    if (!user.emailVerified) {
+      await emailVerificationService.sendVerification(user);
+    }
+
+    res.json({
+      success: true,
+      message: user.emailVerified ? 'Your email is already verified' : 'Verification email sent',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send verification email',
+    });
+  }
+});
+
+// VERIFY EMAIL (token from the mailed link)
+router.post('/verify-email', async (req, res) => {
+  try {
+    const user = await emailVerificationService.verifyEmail(req.body?.token);
+
+    // Let the frontend offer to claim earlier guest orders for this email
+    const claimableOrders = await guestOrderService.findClaimableOrders(user);
+
+    res.json({
+      success: true,
+      message: 'Email verified',
+      data: getUserData(user),
+      claimableOrders: claimableOrders.length,
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify email',
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
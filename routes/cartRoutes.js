@@ -1,7 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const Cart = require('../models/Cart');
-const jwt = require('jsonwebtoken');
+const Product = require('../models/product');
+const variantService = require('../services/variantService');
+const ApiError = require('../utils/ApiError');
+const verifyAuthToken = require('../utils/authToken');
 
 // Middleware to verify token
 const authenticate = (req, res, next) => {
@@ -14,7 +17,7 @@ const authenticate = (req, res, next) => {
   }
 
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = verifyAuthToken(token);
     req.userId = decoded.id;
     next();
   } catch (error) {
@@ -25,6 +28,10 @@ const authenticate = (req, res, next) => {
   }
 };
 
+// A cart line is one product + variant (or size, for products without variants)
+const isSameLine = (item, productId, variantId, size) => item.product.toString() === productId
+  && (variantId ? String(item.variant) === String(variantId) : item.size === size);
+
 // GET user cart
 router.get('/', authenticate, async (req, res) => {
   try {
@@ -49,7 +56,24 @@ router.get('/', authenticate, async (req, res) => {
 // ADD item to cart
 router.post('/add', authenticate, async (req, res) => {
   try {
-    const { productId, size, quantity } = req.body;
+    const { productId, variantId, sku, color, width, size, quantity } = req.body;
+
+    const product = await Product.findById(productId).select('name sizes variants');
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found',
+      });
+    }
+
+    // Products with variants need one picked (by ID, SKU or color/width/size)
+    const { variant, size: lineSize } = variantService.resolveSelection(product, {
+      variant: variantId,
+      sku,
+      color,
+      width,
+      size,
+    });
 
     let cart = await Cart.findOne({ user: req.userId });
 
@@ -59,7 +83,7 @@ router.post('/add', authenticate, async (req, res) => {
 
     // Check if item already exists
     const existingItemIndex = cart.items.findIndex(
-      (item) => item.product.toString() === productId && item.size === size
+      (item) => isSameLine(item, productId, variant?._id, lineSize)
     );
 
     if (existingItemIndex > -1) {
@@ -67,7 +91,7 @@ router.post('/add', authenticate, async (req, res) => {
       cart.items[existingItemIndex].quantity += quantity;
     } else {
       // Add new item
-      cart.items.push({ product: productId, size, quantity });
+      cart.items.push({ product: productId, variant: variant?._id, size: lineSize, quantity });
     }
 
     await cart.save();
@@ -78,6 +102,13 @@ router.post('/add', authenticate, async (req, res) => {
       data: cart.items,
     });
   } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Failed to add to cart',
@@ -88,7 +119,7 @@ router.post('/add', authenticate, async (req, res) => {
 // UPDATE item quantity
 router.put('/update', authenticate, async (req, res) => {
   try {
-    const { productId, size, quantity } = req.body;
+    const { productId, variantId, size, quantity } = req.body;
 
     const cart = await Cart.findOne({ user: req.userId });
 
@@ -100,7 +131,7 @@ router.put('/update', authenticate, async (req, res) => {
     }
 
     const itemIndex = cart.items.findIndex(
-      (item) => item.product.toString() === productId && item.size === size
+      (item) => isSameLine(item, productId, variantId, size)
     );
 
     if (itemIndex > -1) {
@@ -131,7 +162,7 @@ router.put('/update', authenticate, async (req, res) => {
 // REMOVE item from cart
 router.delete('/remove', authenticate, async (req, res) => {
   try {
-    const { productId, size } = req.body;
+    const { productId, variantId, size } = req.body;
 
     const cart = await Cart.findOne({ user: req.userId });
 
@@ -143,7 +174,7 @@ router.delete('/remove', authenticate, async (req, res) => {
     }
 
     cart.items = cart.items.filter(
-      (item) => !(item.product.toString() === productId && item.size === size)
+      (item) => !isSameLine(item, productId, variantId, size)
     );
 
     await cart.save();
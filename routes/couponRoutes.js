@@ -0,0 +1,66 @@
+const express = require('express');
+const router = express.Router();
+const verifyAuthToken = require('../utils/authToken');
+const pricingService = require('../services/pricingService');
+const ApiError = require('../utils/ApiError');
+
+// VALIDATE a coupon code against a cart (works for guests too)
+router.post('/validate', async (req, res) => {
+  try {
+    const { code, items, email, shippingInfo, shippingMethod, currency } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        valid: false,
+        message: 'Please provide a coupon code',
+      });
+    }
+
+    // Signed-in users are checked against their own order history
+    let userId = null;
+    const token = req.headers.authorization?.split(' ')[1];
+    if (token) {
+      try {
+        userId = verifyAuthToken(token).id;
+      } catch (error) {
+        userId = null;
+      }
+    }
+
+    const { pricing } = await pricingService.calculatePricing(items, {
+      couponCode: code,
+      userId,
+      email: email || shippingInfo?.email,
+      shippingInfo,
+      shippingMethod,
+      currency,
+    });
+
+    res.json({
+      success: true,
+      valid: true,
+      data: {
+        coupon: pricing.coupon,
+        pricing,
+      },
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        valid: false,
+        message: error.message,
+      });
+    }
+
+    console.error('Error validating coupon:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to validate coupon',
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,171 @@
+const express = require('express');
+const router = express.Router();
+const verifyAuthToken = require('../utils/authToken');
+const GiftCard = require('../models/GiftCard');
+const giftCardService = require('../services/giftCardService');
+const currencyService = require('../services/currencyService');
+const { getPaymentProvider } = require('../services/payments');
+const ApiError = require('../utils/ApiError');
+const { roundMoney, toStripeAmount } = require('../utils/money');
+const idempotency = require('../middleware/idempotency');
+
+const PURCHASE_PURPOSE = 'gift_card';
+
+// Get user ID from token if authenticated (gift cards can be bought as a guest)
+const getOptionalUserId = (req) => {
+  const token = req.headers.authorization?.split(' ')[1];
+  if (!token) return null;
+
+  try {
+    return verifyAuthToken(token).id;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Send ApiErrors with their status, anything else as a 500
+const handleError = (res, error, message) => {
+  if (error instanceof ApiError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      ...error.details,
+    });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message,
+  });
+};
+
+// CHECK GIFT CARD BALANCE
+router.post('/balance', async (req, res) => {
+  try {
+    const code = giftCardService.normalizeCode(req.body?.code);
+    const card = code && await GiftCard.findOne({ code });
+
+    if (!card) {
+      return res.status(404).json({
+        success: false,
+        message: 'Gift card not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: giftCardService.toPublicSummary(card),
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to check gift card balance');
+  }
+});
+
+// START A GIFT CARD PURCHASE (returns a PaymentIntent to pay)
+router.post('/purchase-intent', idempotency('gift-card-purchase-intent'), async (req, res) => {
+  try {
+    const amount = roundMoney(Number(req.body?.amount));
+    const currency = currencyService.normalizeCurrency(req.body?.currency);
+
+    if (!Number.isFinite(amount) || amount < giftCardService.MIN_AMOUNT || amount > giftCardService.MAX_AMOUNT) {
+      return res.status(400).json({
+        success: false,
+        message: `Gift card amount must be between ${giftCardService.MIN_AMOUNT} and ${giftCardService.MAX_AMOUNT}`,
+      });
+    }
+
+    const idempotencyKey = req.get('Idempotency-Key');
+    const provider = getPaymentProvider();
+    const paymentIntent = await provider.createIntent({
+      amount: toStripeAmount(amount),
+      currency: currency.toLowerCase(),
+      metadata: { purpose: PURCHASE_PURPOSE },
+      idempotencyKey: idempotencyKey ? `gc-${idempotencyKey}` : undefined,
+    });
+
+    res.json({
+      success: true,
+      provider: provider.name,
+      paymentIntentId: paymentIntent.id,
+      clientSecret: paymentIntent.clientSecret,
+      amount,
+      currency,
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to start gift card purchase');
+  }
+});
+
+// COMPLETE A GIFT CARD PURCHASE (after the PaymentIntent succeeded)
+router.post('/purchase', idempotency('gift-card-purchase'), async (req, res) => {
+  try {
+    const { paymentIntentId, recipientEmail, message } = req.body || {};
+
+    if (!paymentIntentId) {
+      return res.status(400).json({
+        success: false,
+        message: 'paymentIntentId is required',
+      });
+    }
+
+    const paymentIntent = await getPaymentProvider().retrieveIntent(paymentIntentId);
+
+    if (paymentIntent.metadata?.purpose !== PURCHASE_PURPOSE) {
+      return res.status(400).json({
+        success: false,
+        message: 'This payment was not made for a gift card',
+      });
+    }
+
+    if (paymentIntent.status !== 'succeeded') {
+      return res.status(400).json({
+        success: false,
+        message: `Payment has not completed (status: ${paymentIntent.status})`,
+      });
+    }
+
+    if (await GiftCard.exists({ purchasePaymentIntentId: paymentIntentId })) {
+      return res.status(409).json({
+        success: false,
+        message: 'A gift card has already been issued for this payment',
+      });
+    }
+
+    const card = await giftCardService.issueGiftCard({
+      amount: paymentIntent.amount / 100,
+      currency: paymentIntent.currency.toUpperCase(),
+      recipientEmail,
+      message,
+      purchasedBy: getOptionalUserId(req),
+      purchasePaymentIntentId: paymentIntentId,
+    });
+
+    console.log(`🎁 Gift card ${giftCardService.maskCode(card.code)} sold (${card.initialBalance} ${card.currency})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Gift card purchased',
+      data: {
+        code: card.code,
+        currency: card.currency,
+        balance: card.balance,
+        expiresAt: card.expiresAt,
+        recipientEmail: card.recipientEmail,
+      },
+    });
+  } catch (error) {
+    // Lost a race with a concurrent request for the same payment
+    if (error.code === 11000 && error.keyPattern?.purchasePaymentIntentId) {
+      return res.status(409).json({
+        success: false,
+        message: 'A gift card has already been issued for this payment',
+      });
+    }
+
+    handleError(res, error, 'Failed to complete gift card purchase');
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,102 @@
 const express = require('express');
 const router = express.Router();
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const verifyAuthToken = require('../utils/authToken');
 const Order = require('../models/Order');
+const PendingCheckout = require('../models/PendingCheckout');
+const paymentWebhookService = require('../services/paymentWebhookService');
+const pricingService = require('../services/pricingService');
+const couponService = require('../services/couponService');
+const tenderService = require('../services/tenderService');
+const inventoryService = require('../services/inventoryService');
+const checkoutService = require('../services/checkoutService');
+const cancellationService = require('../services/cancellationService');
+const orderModificationService = require('../services/orderModificationService');
+const orderNoteService = require('../services/orderNoteService');
+const orderStatusService = require('../services/orderStatusService');
+const shipmentService = require('../services/shipmentService');
+const carriers = require('../services/carriers');
+const guestOrderService = require('../services/guestOrderService');
+const documentService = require('../services/documentService');
+const { getPaymentProvider } = require('../services/payments');
+const orderQueryService = require('../services/orderQueryService');
+const orderExportService = require('../services/orderExportService');
+const { BASE_CURRENCY } = require('../services/currencyService');
+const ApiError = require('../utils/ApiError');
+const { formatMoney } = require('../utils/money');
+const idempotency = require('../middleware/idempotency');
+
+// Middleware to verify admin
+const verifyAdmin = async (req, res, next) => {
+  try {
+    const token = req.headers.authorization?.split(' ')[1];
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authenticated',
+      });
+    }
+
+    const User = require('../models/User');
+
+    const decoded = verifyAuthToken(token);
+    const user = await User.findById(decoded.id);
+
+    if (!user || user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized',
+      });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid token',
+    });
+  }
+};
+
+// Middleware to verify user authentication
+const authenticate = async (req, res, next) => {
+  try {
+    const token = req.headers.authorization?.split(' ')[1];
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authenticated',
+      });
+    }
+
+    const decoded = verifyAuthToken(token);
+    req.userId = decoded.id;
+    next();
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid token',
+    });
+  }
+};
+
+// Send ApiErrors with their status, anything else as a 500
+const handleError = (res, error, message) => {
+  if (error instanceof ApiError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      ...error.details,
+    });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message,
+  });
+};
 
 // Generate unique order number
 const generateOrderNumber = () => {
@@ -10,32 +105,117 @@ const generateOrderNumber = () => {
   return `ORD-${timestamp}-${randomStr}`;
 };
 
+// Get user ID from token if authenticated (checkout also works for guests)
+const getOptionalUserId = (req) => {
+  const token = req.headers.authorization?.split(' ')[1];
+  if (!token) return null;
+
+  try {
+    const decoded = verifyAuthToken(token);
+    return decoded.id;
+  } catch (error) {
+    console.log('Token verification failed, continuing as guest');
+    return null;
+  }
+};
+
 // CREATE PAYMENT INTENT
-router.post('/create-payment-intent', async (req, res) => {
+router.post('/create-payment-intent', idempotency('create-payment-intent'), async (req, res) => {
   try {
-    const { amount } = req.body;
+    const {
+      items,
+      pricing: clientPricing,
+      amount,
+      couponCode,
+      email,
+      shippingInfo,
+      shippingMethod,
+      currency: requestedCurrency,
+      giftCards,
+      useStoreCredit,
+    } = req.body;
 
-    if (!amount || amount <= 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid amount',
+    const userId = getOptionalUserId(req);
+
+    // Amount is always computed server-side from the cart
+    const {
+      items: lineItems,
+      pricing,
+      shippingMethod: method,
+      currency,
+      exchangeRate,
+    } = await pricingService.calculatePricing(items, {
+      couponCode,
+      userId,
+      email: email || shippingInfo?.email,
+      shippingInfo,
+      shippingMethod,
+      currency: requestedCurrency,
+    });
+
+    pricingService.assertClientPricing(
+      pricing,
+      clientPricing || (amount !== undefined ? { total: amount } : null)
+    );
+
+    // Gift cards and store credit go first; the card pays what's left
+    const { tenders, amountDue } = await tenderService.planTenders(pricing.total, {
+      giftCardCodes: giftCards,
+      useStoreCredit,
+      userId,
+      currency,
+    });
+
+    if (amountDue <= 0) {
+      return res.json({
+        success: true,
+        paymentRequired: false,
+        clientSecret: null,
+        currency,
+        pricing,
+        shippingMethod: method,
+        tenders,
+        amountDue,
       });
     }
 
-    // Create payment intent
-    const paymentIntent = await stripe.paymentIntents.create({
-      amount: Math.round(amount * 100), // Convert to cents
-      currency: 'usd',
-      automatic_payment_methods: {
-        enabled: true,
-      },
+    // Hold the stock and create the payment intent (the provider dedupes on
+    // the same key too). The checkout expires if no order follows.
+    const idempotencyKey = req.get('Idempotency-Key');
+    const { paymentIntent, provider } = await checkoutService.openCheckout({
+      lineItems,
+      amountDue,
+      currency,
+      exchangeRate,
+      pricing,
+      couponCode,
+      userId,
+      email: email || shippingInfo?.email,
+      ip: req.ip,
+      idempotencyKey: idempotencyKey ? `pi-${idempotencyKey}` : undefined,
     });
 
     res.json({
       success: true,
-      clientSecret: paymentIntent.client_secret,
+      paymentRequired: true,
+      provider: provider.name,
+      paymentIntentId: paymentIntent.id,
+      clientSecret: paymentIntent.clientSecret,
+      currency,
+      pricing,
+      shippingMethod: method,
+      tenders,
+      amountDue,
     });
   } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...error.details,
+      });
+    }
+
     console.error('Payment intent error:', error);
     res.status(500).json({
       success: false,
@@ -46,12 +226,22 @@ router.post('/create-payment-intent', async (req, res) => {
 });
 
 // CREATE ORDER
-router.post('/create-order', async (req, res) => {
+router.post('/create-order', idempotency('create-order'), async (req, res) => {
   try {
-    const { items, shippingInfo, pricing, paymentIntentId } = req.body;
+    const {
+      items,
+      shippingInfo,
+      pricing: clientPricing,
+      paymentIntentId,
+      couponCode,
+      shippingMethod,
+      currency: requestedCurrency,
+      giftCards,
+      useStoreCredit,
+    } = req.body;
 
     // Validate required fields
-    if (!items || !shippingInfo || !pricing) {
+    if (!items || !shippingInfo) {
       return res.status(400).json({
         success: false,
         message: 'Missing required order information',
@@ -62,78 +252,173 @@ router.post('/create-order', async (req, res) => {
     const orderNumber = generateOrderNumber();
 
     // Get user ID from token if authenticated
-    let userId = null;
-    const token = req.headers.authorization?.split(' ')[1];
-    
-    if (token) {
-      try {
-        const jwt = require('jsonwebtoken');
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        userId = decoded.id;
-      } catch (error) {
-        console.log('Token verification failed, creating guest order');
+    const userId = getOptionalUserId(req);
+
+    // Recompute prices and totals from the database and reject tampered totals
+    const {
+      items: orderItems,
+      pricing,
+      shippingMethod: method,
+      currency,
+      exchangeRate,
+    } = await pricingService.calculatePricing(items, {
+      couponCode,
+      userId,
+      email: shippingInfo.email,
+      shippingInfo,
+      shippingMethod,
+      currency: requestedCurrency,
+    });
+    pricingService.assertClientPricing(pricing, clientPricing);
+
+    const { tenders, amountDue } = await tenderService.planTenders(pricing.total, {
+      giftCardCodes: giftCards,
+      useStoreCredit,
+      userId,
+      currency,
+    });
+
+    if (amountDue <= 0 && paymentIntentId) {
+      return res.status(400).json({
+        success: false,
+        message: 'This order is fully paid by gift card or store credit - no card payment is needed',
+      });
+    }
+
+    // Stock is only taken for orders that are paid or being paid
+    if (amountDue > 0 && !paymentIntentId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Payment is required for this order',
+      });
+    }
+
+    // One order per PaymentIntent
+    if (paymentIntentId) {
+      const existingOrder = await Order.findOne({
+        'paymentInfo.stripePaymentIntentId': paymentIntentId,
+      }).select('orderNumber');
+
+      if (existingOrder) {
+        return res.status(409).json({
+          success: false,
+          message: 'An order has already been created for this payment',
+          orderNumber: existingOrder.orderNumber,
+        });
       }
     }
 
-    // IMPORTANT: Check stock availability and update inventory
-    const Product = require('../models/product');
-    
-    for (const item of items) {
-      const product = await Product.findById(item.product._id);
-      
-      if (!product) {
-        return res.status(404).json({
+    // Payment status comes from the provider, never assumed - the webhook keeps it current.
+    // Orders covered by gift cards/store credit alone are paid once those are redeemed.
+    const provider = getPaymentProvider();
+    let paymentStatus = amountDue <= 0 ? 'paid' : 'pending';
+    if (paymentIntentId) {
+      const paymentIntent = await provider.retrieveIntent(paymentIntentId);
+
+      if (paymentIntent.currency !== currency.toLowerCase()) {
+        return res.status(400).json({
           success: false,
-          message: `Product ${item.product.name} not found`,
+          message: `Payment was made in ${paymentIntent.currency.toUpperCase()} but the order is in ${currency}`,
         });
       }
 
-      // Find the size in the product
-      const sizeIndex = product.sizes.findIndex(s => s.size === item.size);
-      
-      if (sizeIndex === -1) {
+      if (paymentIntent.amount !== pricingService.toStripeAmount(amountDue)) {
         return res.status(400).json({
           success: false,
-          message: `Size ${item.size} not available for ${product.name}`,
+          message: 'Payment amount does not match the amount due',
+          diff: [{
+            field: 'amountDue',
+            client: paymentIntent.amount / 100,
+            server: amountDue,
+          }],
         });
       }
 
-      // Check if enough stock is available
-      if (product.sizes[sizeIndex].stock < item.quantity) {
+      // `processing` settles later (the webhook marks the order paid or failed);
+      // anything else has not been paid and gets no order or stock
+      if (!['succeeded', 'processing'].includes(paymentIntent.status)) {
         return res.status(400).json({
           success: false,
-          message: `Insufficient stock for ${product.name} (Size ${item.size}). Only ${product.sizes[sizeIndex].stock} left.`,
+          message: `Payment has not been completed (status: ${paymentIntent.status})`,
         });
       }
 
-      // Deduct stock
-      product.sizes[sizeIndex].stock -= item.quantity;
-      
-      // Save the updated product
-      await product.save();
-      
-      console.log(`Stock updated for ${product.name} (Size ${item.size}): ${product.sizes[sizeIndex].stock + item.quantity} → ${product.sizes[sizeIndex].stock}`);
-    }
-
-    // Create order
-    const order = await Order.create({
-      orderNumber,
-      user: userId,
-      items: items.map(item => ({
-        product: item.product._id,
-        name: item.product.name,
-        price: item.product.price,
-        size: item.size,
-        quantity: item.quantity,
-        image: item.product.images[0],
-      })),
-      shippingInfo,
-      pricing,
-      paymentInfo: {
-        stripePaymentIntentId: paymentIntentId,
-        paymentStatus: 'paid',
-      },
-    });
+      if (paymentIntent.status === 'succeeded') {
+        paymentStatus = 'paid';
+      }
+    }
+
+    // Use the stock held since the payment intent was created, or reserve it
+    // now (atomically - all items or none) if the hold is gone or the cart changed
+    const heldStock = paymentIntentId && await checkoutService.claimHeldStock(paymentIntentId, orderItems);
+    if (!heldStock) {
+      await inventoryService.reserveStock(orderItems);
+    }
+
+    // Count the coupon use (respecting its global limit)
+    const couponId = pricing.coupon?.couponId;
+    if (couponId) {
+      try {
+        await couponService.redeemCoupon(couponId);
+      } catch (error) {
+        await inventoryService.releaseStock(orderItems);
+        if (heldStock) await checkoutService.releaseClaim(paymentIntentId);
+        throw error;
+      }
+    }
+
+    // Take the gift card and store credit amounts (all or none)
+    try {
+      await tenderService.redeemTenders(tenders, { userId, orderNumber });
+    } catch (error) {
+      await inventoryService.releaseStock(orderItems);
+      if (heldStock) await checkoutService.releaseClaim(paymentIntentId);
+      if (couponId) await couponService.releaseCoupon(couponId);
+      throw error;
+    }
+
+    // Create order (give the stock, coupon and tenders back if this fails)
+    let order;
+    try {
+      order = await Order.create({
+        orderNumber,
+        user: userId,
+        items: orderItems.map(({ lineTotal, brand, category, weight, ...item }) => item),
+        shippingInfo,
+        shippingMethod: method,
+        currency,
+        exchangeRate,
+        pricing,
+        tenders,
+        statusHistory: orderStatusService.initialHistory(userId),
+        paymentInfo: {
+          provider: provider.name,
+          stripePaymentIntentId: paymentIntentId,
+          amountCharged: amountDue,
+          paymentStatus,
+          paidAt: paymentStatus === 'paid' ? new Date() : undefined,
+        },
+      });
+    } catch (error) {
+      await inventoryService.releaseStock(orderItems);
+      if (heldStock) await checkoutService.releaseClaim(paymentIntentId);
+      if (couponId) await couponService.releaseCoupon(couponId);
+      await tenderService.releaseTenders(tenders, { userId, orderNumber });
+
+      // Lost a race with a concurrent request for the same PaymentIntent
+      if (error.code === 11000 && error.keyPattern?.['paymentInfo.stripePaymentIntentId']) {
+        return res.status(409).json({
+          success: false,
+          message: 'An order has already been created for this payment',
+        });
+      }
+      throw error;
+    }
+
+    if (paymentIntentId) {
+      await checkoutService.completeCheckout(paymentIntentId, order._id);
+    }
+    await inventoryService.recordSales(order.items);
 
     console.log('Order created:', {
       orderNumber: order.orderNumber,
@@ -141,11 +426,23 @@ router.post('/create-order', async (req, res) => {
       items: order.items.length
     });
 
+    // The signed "view your order" link goes to the shipping email only -
+    // it proves ownership of the address, so it is never in this response
+    guestOrderService.sendOrderLink(order);
+
     res.status(201).json({
       success: true,
       data: order,
     });
   } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...error.details,
+      });
+    }
+
     console.error('Order creation error:', error);
     res.status(500).json({
       success: false,
@@ -155,12 +452,100 @@ router.post('/create-order', async (req, res) => {
   }
 });
 
-// GET ORDER BY ORDER NUMBER
+// PAYMENT WEBHOOK (signature verified, drives paymentStatus)
+router.post('/webhook', async (req, res) => {
+  let event;
+
+  try {
+    event = paymentWebhookService.constructEvent(req.rawBody, req.headers);
+  } catch (error) {
+    console.error('Webhook signature verification failed:', error.message);
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid webhook signature',
+    });
+  }
+
+  try {
+    const result = await paymentWebhookService.handleEvent(event);
+
+    res.json({
+      success: true,
+      received: true,
+      duplicate: result.duplicate,
+    });
+  } catch (error) {
+    console.error('Webhook processing error:', error);
+    // Non-2xx makes Stripe retry the delivery
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process webhook',
+      error: error.message,
+    });
+  }
+});
+
+// MOCK PAYMENT CONFIRMATION (local development only - stands in for the card form)
+// paymentMethod: pm_card_success | pm_card_declined | pm_card_3ds | pm_card_delayed
+router.post('/mock/confirm', async (req, res) => {
+  const provider = getPaymentProvider();
+
+  if (provider.name !== 'mock') {
+    return res.status(404).json({
+      success: false,
+      message: 'Route not found',
+    });
+  }
+
+  try {
+    const { paymentIntentId, paymentMethod } = req.body;
+
+    if (!paymentIntentId) {
+      return res.status(400).json({
+        success: false,
+        message: 'paymentIntentId is required',
+      });
+    }
+
+    const paymentIntent = await provider.confirmIntent(paymentIntentId, { paymentMethod });
+
+    res.json({
+      success: true,
+      data: paymentIntent,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to confirm payment',
+      error: error.message,
+    });
+  }
+});
+
+// Find an order by number if the requester may see it (see canViewOrder).
+// Unknown orders and failed checks look the same, so numbers can't be probed.
+const findViewableOrder = async (req, orderNumber, { token, email }) => {
+  const order = await Order.findOne({ orderNumber }).populate('items.product');
+  if (!order) return null;
+
+  const userId = getOptionalUserId(req);
+  let isAdmin = false;
+  if (userId && (!order.user || order.user.toString() !== userId)) {
+    const User = require('../models/User');
+    const user = await User.findById(userId).select('role');
+    isAdmin = user?.role === 'admin';
+  }
+
+  return guestOrderService.canViewOrder(order, { token, email, userId, isAdmin }) ? order : null;
+};
+
+// GET ORDER BY ORDER NUMBER (signed link ?token=, owner/admin login, or ?email=)
 router.get('/order/:orderNumber', async (req, res) => {
   try {
-    const order = await Order.findOne({ 
-      orderNumber: req.params.orderNumber 
-    }).populate('items.product');
+    const order = await findViewableOrder(req, req.params.orderNumber, {
+      token: req.query.token,
+      email: req.query.email,
+    });
 
     if (!order) {
       return res.status(404).json({
@@ -181,6 +566,135 @@ router.get('/order/:orderNumber', async (req, res) => {
   }
 });
 
+// DOWNLOAD INVOICE PDF (same access rules as viewing the order)
+router.get('/order/:orderNumber/invoice', async (req, res) => {
+  try {
+    const order = await findViewableOrder(req, req.params.orderNumber, {
+      token: req.query.token,
+      email: req.query.email,
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found',
+      });
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="invoice-${order.orderNumber}.pdf"`);
+    documentService.renderInvoice(order, res);
+  } catch (error) {
+    console.error('Error generating invoice:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate invoice',
+    });
+  }
+});
+
+// GUEST ORDER LOOKUP (order number + shipping email)
+router.post('/orders/lookup', async (req, res) => {
+  try {
+    const { orderNumber, email } = req.body;
+
+    if (!orderNumber || !email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide your order number and email',
+      });
+    }
+
+    const order = await findViewableOrder(req, orderNumber, { email });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'No order found with that order number and email',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: order,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to look up order',
+    });
+  }
+});
+
+// LIST GUEST ORDERS THE CURRENT ACCOUNT CAN CLAIM
+router.get('/orders/claimable', async (req, res) => {
+  try {
+    const userId = getOptionalUserId(req);
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authenticated',
+      });
+    }
+
+    const User = require('../models/User');
+    const user = await User.findById(userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    const orders = await guestOrderService.findClaimableOrders(user);
+
+    res.json({
+      success: true,
+      count: orders.length,
+      data: orders,
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch claimable orders');
+  }
+});
+
+// CLAIM GUEST ORDERS INTO THE CURRENT ACCOUNT
+router.post('/orders/claim', async (req, res) => {
+  try {
+    const userId = getOptionalUserId(req);
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authenticated',
+      });
+    }
+
+    const User = require('../models/User');
+    const user = await User.findById(userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    const { token, orderNumbers } = req.body;
+    const claimed = await guestOrderService.claimOrders(user, { token, orderNumbers });
+
+    res.json({
+      success: true,
+      message: claimed.length > 0
+        ? `${claimed.length} order(s) added to your account`
+        : 'No matching guest orders found',
+      data: claimed,
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to claim orders');
+  }
+});
+
 // GET USER ORDERS (requires authentication)
 router.get('/my-orders', async (req, res) => {
   try {
@@ -193,8 +707,7 @@ router.get('/my-orders', async (req, res) => {
       });
     }
 
-    const jwt = require('jsonwebtoken');
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = verifyAuthToken(token);
     
     console.log('Fetching orders for user:', decoded.id);
     
@@ -212,7 +725,99 @@ router.get('/my-orders', async (req, res) => {
     console.error('Error fetching user orders:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to fetch orders',
+      message: 'Failed to fetch orders',
+      error: error.message,
+    });
+  }
+});
+
+// USER ORDER MESSAGES (customer-visible part of the order's thread)
+router.get('/my-orders/:id/messages', authenticate, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id).select('user orderNumber +notes');
+
+    if (!order || !order.user || order.user.toString() !== req.userId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        orderNumber: order.orderNumber,
+        messages: orderNoteService.listNotes(order),
+      },
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch order messages');
+  }
+});
+
+// USER SEND A MESSAGE ABOUT AN ORDER
+router.post('/my-orders/:id/messages', authenticate, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id).select('+notes');
+
+    if (!order || !order.user || order.user.toString() !== req.userId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found',
+      });
+    }
+
+    const note = await orderNoteService.addNote(order, {
+      body: req.body.body,
+      authorId: req.userId,
+      authorRole: 'customer',
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Message sent',
+      data: orderNoteService.toCustomerMessage(note),
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to send message');
+  }
+});
+
+// GET ORDER STATUS TIMELINE (order owner only)
+router.get('/orders/:id/timeline', async (req, res) => {
+  try {
+    const token = req.headers.authorization?.split(' ')[1];
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authenticated',
+      });
+    }
+
+    const decoded = verifyAuthToken(token);
+
+    const order = await Order.findById(req.params.id);
+
+    if (!order || !order.user || order.user.toString() !== decoded.id) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        orderNumber: order.orderNumber,
+        orderStatus: order.orderStatus,
+        timeline: orderStatusService.getTimeline(order),
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching order timeline:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch order timeline',
       error: error.message,
     });
   }
@@ -230,8 +835,7 @@ router.patch('/orders/:id/cancel', async (req, res) => {
       });
     }
 
-    const jwt = require('jsonwebtoken');
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = verifyAuthToken(token);
     const userId = decoded.id;
 
     // Find the order
@@ -268,37 +872,34 @@ router.patch('/orders/:id/cancel', async (req, res) => {
       });
     }
 
-    // Restore stock for each item
-    const Product = require('../models/product');
-    
-    for (const item of order.items) {
-      const product = await Product.findById(item.product);
-      
-      if (product) {
-        const sizeIndex = product.sizes.findIndex(s => s.size === item.size);
-        
-        if (sizeIndex !== -1) {
-          product.sizes[sizeIndex].stock += item.quantity;
-          await product.save();
-          
-          console.log(`✅ Stock restored: ${product.name} (Size ${item.size}) +${item.quantity} units`);
-        }
-      }
-    }
-
-    // Update order status
-    order.orderStatus = 'cancelled';
-    order.paymentInfo.paymentStatus = 'refunded';
-    await order.save();
+    // Refund through Stripe, restock and cancel (all items, or just `items`)
+    const { items, reason } = req.body || {};
+    const { refund, isFullCancellation } = await cancellationService.cancelOrder(order, {
+      items,
+      reason: reason || 'Cancelled by customer',
+      initiatedBy: userId,
+      initiatedByRole: 'customer',
+    });
 
-    console.log(`📦 Order ${order.orderNumber} cancelled by user and stock restored`);
+    console.log(`📦 Order ${order.orderNumber} ${isFullCancellation ? 'cancelled' : 'partially cancelled'} by user and stock restored`);
 
     res.json({
       success: true,
-      message: 'Order cancelled successfully. Stock has been restored and refund will be processed.',
+      message: refund
+        ? `Order ${isFullCancellation ? 'cancelled' : 'items cancelled'} successfully. A refund of ${formatMoney(refund.amount, order.currency)} has been issued.`
+        : `Order ${isFullCancellation ? 'cancelled' : 'items cancelled'} successfully. Stock has been restored.`,
       data: order,
+      refund,
     });
   } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...error.details,
+      });
+    }
+
     console.error('Error cancelling order:', error);
     res.status(500).json({
       success: false,
@@ -308,6 +909,110 @@ router.patch('/orders/:id/cancel', async (req, res) => {
   }
 });
 
+// Apply a customer's change to their own order and send the result. A change
+// that raises the total answers 402 with a PaymentIntent to pay first.
+const modifyOwnOrder = async (req, res, changes) => {
+  try {
+    const order = await Order.findById(req.params.id);
+
+    if (!order || !order.user || order.user.toString() !== req.userId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found',
+      });
+    }
+
+    const result = await orderModificationService.modifyOrder(order, {
+      ...changes,
+      paymentIntentId: req.body.paymentIntentId,
+      changedBy: req.userId,
+      changedByRole: 'customer',
+    });
+
+    if (result.requiresPayment) {
+      return res.status(402).json({
+        success: false,
+        message: `This change adds ${formatMoney(result.amountDue, order.currency)} to your order. Complete the payment, then send the change again with the paymentIntentId.`,
+        requiresPayment: true,
+        amountDue: result.amountDue,
+        paymentIntentId: result.paymentIntentId,
+        clientSecret: result.clientSecret,
+        pricing: result.pricing,
+        changes: result.changes,
+      });
+    }
+
+    const { modification, refund } = result;
+    let message = 'Order updated successfully';
+    if (refund) {
+      message += `. A refund of ${formatMoney(refund.amount, order.currency)} has been issued.`;
+    } else if (modification.amountDifference > 0) {
+      message += `. ${formatMoney(modification.amountDifference, order.currency)} was charged.`;
+    }
+
+    res.json({
+      success: true,
+      message,
+      data: order,
+      modification,
+      refund,
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to update order');
+  }
+};
+
+// USER CHANGE SIZE/QUANTITY OF AN ITEM (before shipment)
+router.patch('/orders/:id/items/:itemId', authenticate, idempotency('modify-order'), async (req, res) => {
+  const { size, quantity } = req.body;
+
+  await modifyOwnOrder(req, res, {
+    items: [{ itemId: req.params.itemId, size, quantity }],
+  });
+});
+
+// USER CHANGE SHIPPING ADDRESS (before shipment)
+router.patch('/orders/:id/shipping-info', authenticate, idempotency('modify-order'), async (req, res) => {
+  const { shippingInfo } = req.body;
+
+  if (!shippingInfo || typeof shippingInfo !== 'object') {
+    return res.status(400).json({
+      success: false,
+      message: 'Please provide the new shipping information',
+    });
+  }
+
+  await modifyOwnOrder(req, res, { shippingInfo });
+});
+
+// USER ORDER CHANGE HISTORY
+router.get('/orders/:id/modifications', authenticate, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id).select('user orderNumber modifications');
+
+    if (!order || !order.user || order.user.toString() !== req.userId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        orderNumber: order.orderNumber,
+        // Who made each change stays internal
+        modifications: order.modifications.map((entry) => {
+          const { changedBy, ...change } = entry.toObject();
+          return change;
+        }),
+      },
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch order changes');
+  }
+});
+
 // CANCEL ORDER AND RESTORE STOCK
 router.patch('/admin/orders/:id/cancel', async (req, res) => {
   try {
@@ -320,10 +1025,9 @@ router.patch('/admin/orders/:id/cancel', async (req, res) => {
       });
     }
 
-    const jwt = require('jsonwebtoken');
     const User = require('../models/User');
     
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = verifyAuthToken(token);
     const user = await User.findById(decoded.id);
     
     if (!user || user.role !== 'admin') {
@@ -357,37 +1061,32 @@ router.patch('/admin/orders/:id/cancel', async (req, res) => {
       });
     }
 
-    // Restore stock for each item
-    const Product = require('../models/product');
-    
-    for (const item of order.items) {
-      const product = await Product.findById(item.product);
-      
-      if (product) {
-        const sizeIndex = product.sizes.findIndex(s => s.size === item.size);
-        
-        if (sizeIndex !== -1) {
-          product.sizes[sizeIndex].stock += item.quantity;
-          await product.save();
-          
-          console.log(`✅ Stock restored: ${product.name} (Size ${item.size}) +${item.quantity} units`);
-        }
-      }
-    }
-
-    // Update order status
-    order.orderStatus = 'cancelled';
-    order.paymentInfo.paymentStatus = 'refunded'; // Mark as refunded
-    await order.save();
+    // Refund through Stripe, restock and cancel (all items, or just `items`)
+    const { items, reason } = req.body || {};
+    const { refund, isFullCancellation } = await cancellationService.cancelOrder(order, {
+      items,
+      reason: reason || 'Cancelled by admin',
+      initiatedBy: user._id,
+      initiatedByRole: 'admin',
+    });
 
-    console.log(`📦 Order ${order.orderNumber} cancelled and stock restored`);
+    console.log(`📦 Order ${order.orderNumber} ${isFullCancellation ? 'cancelled' : 'partially cancelled'} and stock restored`);
 
     res.json({
       success: true,
-      message: 'Order cancelled and stock restored successfully',
+      message: `Order ${isFullCancellation ? 'cancelled' : 'items cancelled'} and stock restored successfully`,
       data: order,
+      refund,
     });
   } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...error.details,
+      });
+    }
+
     console.error('Error cancelling order:', error);
     res.status(500).json({
       success: false,
@@ -397,44 +1096,185 @@ router.patch('/admin/orders/:id/cancel', async (req, res) => {
   }
 });
 
-// GET ALL ORDERS (Admin only)
-router.get('/admin/orders', async (req, res) => {
+// GET ALL ORDERS (Admin only) - paginated, filterable and sortable
+// ?page&limit&status&paymentStatus&from&to&email&orderNumber&note&product&minTotal&sort
+router.get('/admin/orders', verifyAdmin, async (req, res) => {
   try {
-    // Get token and verify user is admin
-    const token = req.headers.authorization?.split(' ')[1];
-    if (!token) {
-      return res.status(401).json({
+    const filter = orderQueryService.buildOrderFilter(req.query);
+    const sort = orderQueryService.buildOrderSort(req.query.sort);
+    const { page, limit, skip } = orderQueryService.parsePagination(req.query);
+
+    const [orders, total] = await Promise.all([
+      Order.find(filter)
+        .sort(sort)
+        .skip(skip)
+        .limit(limit)
+        .populate('items.product', 'name images brand'),
+      Order.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      data: orders,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch orders');
+  }
+});
+
+// EXPORT FILTERED ORDERS AS CSV OR JSON (Admin only, streamed)
+router.get('/admin/orders/export', verifyAdmin, async (req, res) => {
+  try {
+    const format = req.query.format === 'json' ? 'json' : 'csv';
+    const filter = orderQueryService.buildOrderFilter(req.query);
+    const sort = orderQueryService.buildOrderSort(req.query.sort);
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json');
+    res.setHeader('Content-Disposition', `attachment; filename="orders-${date}.${format}"`);
+
+    const cursor = Order.find(filter).sort(sort).lean().cursor();
+    await orderExportService.streamOrders(cursor, format, res);
+  } catch (error) {
+    // Headers are already gone once streaming has started
+    if (res.headersSent) {
+      console.error('Order export failed mid-stream:', error);
+      return res.end();
+    }
+    handleError(res, error, 'Failed to export orders');
+  }
+});
+
+// ORDER NOTES AND MESSAGES (Admin only)
+// ?visibility=internal|customer narrows the thread
+router.get('/admin/orders/:id/notes', verifyAdmin, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id).select('orderNumber +notes');
+
+    if (!order) {
+      return res.status(404).json({
         success: false,
-        message: 'Not authenticated',
+        message: 'Order not found',
       });
     }
 
-    const jwt = require('jsonwebtoken');
-    const User = require('../models/User');
-    
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.id);
-    
-    if (!user || user.role !== 'admin') {
-      return res.status(403).json({
+    const { visibility } = req.query;
+    const notes = orderNoteService.listNotes(order, { includeInternal: true })
+      .filter(note => !visibility || note.visibility === visibility);
+
+    res.json({
+      success: true,
+      data: {
+        orderNumber: order.orderNumber,
+        notes,
+      },
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch order notes');
+  }
+});
+
+// ADD AN INTERNAL NOTE OR A MESSAGE TO THE CUSTOMER (Admin only)
+// Body: { body, visibility: 'internal' (default) | 'customer' }
+router.post('/admin/orders/:id/notes', verifyAdmin, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id).select('+notes');
+
+    if (!order) {
+      return res.status(404).json({
         success: false,
-        message: 'Not authorized',
+        message: 'Order not found',
       });
     }
 
-    const orders = await Order.find()
-      .sort({ createdAt: -1 })
-      .populate('items.product');
+    const note = await orderNoteService.addNote(order, {
+      body: req.body.body,
+      visibility: req.body.visibility,
+      authorId: req.user._id,
+      authorRole: 'admin',
+    });
+
+    res.status(201).json({
+      success: true,
+      message: note.visibility === 'internal' ? 'Note added' : 'Message sent to customer',
+      data: note,
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to add order note');
+  }
+});
+
+// ABANDONED CHECKOUTS (Admin only)
+// ?status=expired (default) | pending | requires_attention | completed
+router.get('/admin/abandoned-checkouts', verifyAdmin, async (req, res) => {
+  try {
+    const status = req.query.status || 'expired';
+    const filter = { status };
+    if (req.query.from || req.query.to) {
+      filter.createdAt = {};
+      if (req.query.from) filter.createdAt.$gte = new Date(req.query.from);
+      if (req.query.to) filter.createdAt.$lte = new Date(req.query.to);
+    }
+
+    const { page, limit, skip } = orderQueryService.parsePagination(req.query);
+    const [checkouts, total, [totals]] = await Promise.all([
+      PendingCheckout.find(filter)
+        .populate('user', 'name email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      PendingCheckout.countDocuments(filter),
+      // Cart value in the base currency
+      PendingCheckout.aggregate([
+        { $match: filter },
+        {
+          $group: {
+            _id: null,
+            value: { $sum: { $divide: ['$pricing.total', { $ifNull: ['$exchangeRate', 1] }] } },
+            items: { $sum: { $sum: '$items.quantity' } },
+          },
+        },
+      ]),
+    ]);
 
     res.json({
       success: true,
-      data: orders,
+      data: checkouts,
+      summary: {
+        count: total,
+        value: pricingService.roundMoney(totals?.value || 0),
+        currency: BASE_CURRENCY,
+        items: totals?.items || 0,
+      },
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch orders',
+    handleError(res, error, 'Failed to fetch abandoned checkouts');
+  }
+});
+
+// RUN THE CHECKOUT SWEEPER NOW (Admin only)
+router.post('/admin/abandoned-checkouts/sweep', verifyAdmin, async (req, res) => {
+  try {
+    const counts = await checkoutService.sweepExpiredCheckouts();
+
+    res.json({
+      success: true,
+      data: counts,
     });
+  } catch (error) {
+    handleError(res, error, 'Failed to sweep checkouts');
   }
 });
 
@@ -450,10 +1290,9 @@ router.patch('/admin/orders/:id', async (req, res) => {
       });
     }
 
-    const jwt = require('jsonwebtoken');
     const User = require('../models/User');
     
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = verifyAuthToken(token);
     const user = await User.findById(decoded.id);
     
     if (!user || user.role !== 'admin') {
@@ -463,13 +1302,17 @@ router.patch('/admin/orders/:id', async (req, res) => {
       });
     }
 
-    const { orderStatus } = req.body;
+    const { orderStatus, note } = req.body;
 
-    const order = await Order.findByIdAndUpdate(
-      req.params.id,
-      { orderStatus },
-      { new: true, runValidators: true }
-    );
+    // Cancelling has to refund and restock, which only the cancel endpoint does
+    if (orderStatus === 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: 'Use the cancel endpoint to cancel an order',
+      });
+    }
+
+    const order = await Order.findById(req.params.id);
 
     if (!order) {
       return res.status(404).json({
@@ -478,11 +1321,26 @@ router.patch('/admin/orders/:id', async (req, res) => {
       });
     }
 
+    orderStatusService.transitionOrder(order, orderStatus, {
+      changedBy: user._id,
+      changedByRole: 'admin',
+      note,
+    });
+    await order.save();
+
     res.json({
       success: true,
       data: order,
     });
   } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...error.details,
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Failed to update order',
@@ -491,4 +1349,149 @@ router.patch('/admin/orders/:id', async (req, res) => {
   }
 });
 
+// LIST CARRIERS WITH TRACKING INTEGRATIONS (Admin only)
+router.get('/admin/carriers', verifyAdmin, (req, res) => {
+  res.json({
+    success: true,
+    data: carriers.listCarriers(),
+  });
+});
+
+// ADD SHIPMENT TO ORDER (Admin only)
+router.post('/admin/orders/:id/shipments', verifyAdmin, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found',
+      });
+    }
+
+    const { carrier, trackingNumber, items, shippedAt } = req.body;
+    const shipment = shipmentService.createShipment(order, {
+      carrier,
+      trackingNumber,
+      items,
+      shippedAt,
+      createdBy: req.user._id,
+    });
+    await order.save();
+
+    console.log(`🚚 Order ${order.orderNumber} shipment ${shipment.trackingNumber} added (${order.orderStatus})`);
+
+    res.status(201).json({
+      success: true,
+      data: order,
+      shipment,
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to add shipment');
+  }
+});
+
+// UPDATE SHIPMENT (Admin only)
+router.patch('/admin/orders/:id/shipments/:shipmentId', verifyAdmin, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found',
+      });
+    }
+
+    const shipment = shipmentService.updateShipment(
+      order,
+      req.params.shipmentId,
+      req.body,
+      req.user._id
+    );
+    await order.save();
+
+    res.json({
+      success: true,
+      data: order,
+      shipment,
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to update shipment');
+  }
+});
+
+// REFRESH SHIPMENT TRACKING FROM CARRIER (Admin only)
+router.post('/admin/orders/:id/shipments/:shipmentId/refresh', verifyAdmin, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found',
+      });
+    }
+
+    const shipment = await shipmentService.refreshTracking(order, req.params.shipmentId);
+    await order.save();
+
+    res.json({
+      success: true,
+      data: order,
+      shipment,
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to refresh tracking');
+  }
+});
+
+// BATCH PACKING SLIPS FOR ALL PROCESSING ORDERS (Admin only)
+router.get('/admin/packing-slips', verifyAdmin, async (req, res) => {
+  try {
+    const orders = await Order.find({
+      orderStatus: { $in: ['processing', 'partially_shipped'] },
+    }).sort({ createdAt: 1 });
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="packing-slips-${date}.pdf"`);
+    documentService.renderPackingSlips(orders, res);
+  } catch (error) {
+    handleError(res, error, 'Failed to generate packing slips');
+  }
+});
+
+// PACKING SLIP FOR AN ORDER'S UNSHIPPED ITEMS OR ONE SHIPMENT (Admin only)
+router.get(['/admin/orders/:id/packing-slip', '/admin/orders/:id/shipments/:shipmentId/packing-slip'], verifyAdmin, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found',
+      });
+    }
+
+    let shipment = null;
+    if (req.params.shipmentId) {
+      shipment = order.shipments.id(req.params.shipmentId);
+
+      if (!shipment) {
+        return res.status(404).json({
+          success: false,
+          message: 'Shipment not found',
+        });
+      }
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="packing-slip-${order.orderNumber}.pdf"`);
+    documentService.renderPackingSlip(order, shipment, res);
+  } catch (error) {
+    handleError(res, error, 'Failed to generate packing slip');
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -1,42 +1,39 @@
 const express = require('express');
 const router = express.Router();
 const Product = require('../models/product');
+const productQueryService = require('../services/productQueryService');
+const searchService = require('../services/search');
+const ApiError = require('../utils/ApiError');
 
-// Escape user input before using inside a RegExp pattern
-function escapeRegex(input) {
-  return input.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-}
+const MAX_SEARCH_LIMIT = 50;
 
 // SEARCH PRODUCTS (add this BEFORE the GET all products route)
+// Ranked by relevance, typo tolerant; each result has `score` and `highlights`
 router.get('/search', async (req, res) => {
   try {
-    const { q, limit = 10 } = req.query;
+    const q = String(req.query.q || '');
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), MAX_SEARCH_LIMIT);
 
-    if (!q || q.trim() === '') {
+    if (q.trim() === '') {
       return res.json({
         success: true,
         data: [],
       });
     }
 
-    // Search by name, brand, or category
-    const searchRegex = new RegExp(q, 'i'); // case-insensitive
+    const allHits = await searchService.searchProducts(q);
+    const hits = allHits.slice(0, limit);
+    searchService.recordSearch(q, allHits);
 
-    const products = await Product.find({
-      $or: [
-        { name: searchRegex },
-        { brand: searchRegex },
-        { category: searchRegex },
-        { description: searchRegex },
-      ],
-    })
-      .limit(parseInt(limit))
-      .select('name brand category price images averageRating');
+    const products = await Product.find({ _id: { $in: hits.map(hit => hit.id) } })
+      .select('name brand category description price images averageRating');
+
+    const results = searchService.rankProducts(products, hits);
 
     res.json({
       success: true,
-      count: products.length,
-      data: products,
+      count: results.length,
+      data: results,
     });
   } catch (error) {
     res.status(500).json({
@@ -47,57 +44,92 @@ router.get('/search', async (req, res) => {
   }
 });
 
-// GET all products with filters
+// AUTOCOMPLETE SUGGESTIONS (search-as-you-type)
+// ?q=<typed text>&limit=<per group, default 5>. Grouped into products, brands
+// and categories, most popular first; served from a prefix index and cached.
+router.get('/suggest', async (req, res) => {
+  try {
+    const q = String(req.query.q || '');
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 5, 1), 10);
+
+    const data = await searchService.getSuggestions(q, { limit });
+
+    res.set('Cache-Control', `public, max-age=${Math.floor(searchService.SUGGESTION_CACHE_TTL_MS / 1000)}`);
+    res.json({
+      success: true,
+      query: q,
+      data,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch suggestions',
+      error: error.message,
+    });
+  }
+});
+
+// GET all products - filtered, sorted and paginated, with facet counts
+// ?search&brand&category&size&color&width (comma-separated for several)
+// &priceRange=0-50,100-&minPrice&maxPrice&sort&page&limit
+// Sizes, colors and widths match a single variant (sizes also match products without variants)
 router.get('/', async (req, res) => {
   try {
-    const { brand, category, minPrice, maxPrice, size, search } = req.query;
-    
-    // Build filter object dynamically
-    let filter = {};
-    let andConditions = [];
-    
-    // Add search filter if provided (check for non-empty string)
-    if (search && search.trim() !== '') {
-      const searchRegex = new RegExp(search, 'i');
-      andConditions.push({
-        $or: [
-          { name: searchRegex },
-          { brand: searchRegex },
-          { category: searchRegex },
-          { description: searchRegex },
-        ]
-      });
-    }
-    
-    if (brand) {
-      andConditions.push({ brand: brand });
-    }
-    if (category) {
-      andConditions.push({ category: category });
-    }
-    if (minPrice || maxPrice) {
-      const priceFilter = {};
-      if (minPrice) priceFilter.$gte = Number(minPrice);
-      if (maxPrice) priceFilter.$lte = Number(maxPrice);
-      andConditions.push({ price: priceFilter });
-    }
-    if (size) {
-      andConditions.push({ 'sizes.size': Number(size) });
-    }
+    const search = String(req.query.search || '').trim();
+
+    // Search narrows the catalogue to the hits, ranked by relevance
+    const hits = search ? await searchService.searchProducts(search) : null;
+    if (search) searchService.recordSearch(search, hits);
+
+    const conditions = productQueryService.buildConditions(req.query, hits && hits.map(hit => hit.id));
+    const filter = productQueryService.combine(conditions);
+    const sort = productQueryService.buildProductSort(req.query.sort, Boolean(hits));
+    const { page, limit, skip } = productQueryService.parsePagination(req.query);
 
-    // Combine all conditions with $and if there are any
-    if (andConditions.length > 0) {
-      filter.$and = andConditions;
+    let products;
+    let total;
+    if (sort === 'relevance') {
+      const matching = await Product.find(filter).select('_id');
+      const matchingIds = new Set(matching.map(product => product._id.toString()));
+      const pageHits = hits.filter(hit => matchingIds.has(hit.id)).slice(skip, skip + limit);
+
+      total = matchingIds.size;
+      products = await Product.find({ _id: { $in: pageHits.map(hit => hit.id) } });
+      products = searchService.rankProducts(products, pageHits);
+    } else {
+      [products, total] = await Promise.all([
+        Product.find(filter).sort(sort).skip(skip).limit(limit),
+        Product.countDocuments(filter),
+      ]);
+      if (hits) {
+        const order = new Map(products.map((product, position) => [product._id.toString(), position]));
+        products = searchService.rankProducts(products, hits)
+          .sort((a, b) => order.get(a._id.toString()) - order.get(b._id.toString()));
+      }
     }
 
-    const products = await Product.find(filter);
-    
+    const facets = await productQueryService.getFacets(conditions);
+
     res.json({
       success: true,
       count: products.length,
       data: products,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+      facets,
     });
   } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Server Error',
@@ -150,6 +182,7 @@ router.get('/:id', async (req, res) => {
 router.post('/', async (req, res) => {
   try {
     const product = await Product.create(req.body);
+    searchService.invalidate();
     res.status(201).json({
       success: true,
       data: product
@@ -179,6 +212,8 @@ router.put('/:id', async (req, res) => {
       });
     }
     
+    searchService.invalidate();
+
     res.json({
       success: true,
       data: product
@@ -204,6 +239,8 @@ router.delete('/:id', async (req, res) => {
       });
     }
     
+    searchService.invalidate();
+
     res.json({
       success: true,
       message: 'Product deleted successfully'
@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
+const verifyAuthToken = require('../utils/authToken');
 const User = require('../models/User');
 const Order = require('../models/Order');
 
@@ -15,7 +15,7 @@ const authenticate = async (req, res, next) => {
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = verifyAuthToken(token);
     req.userId = decoded.id;
     next();
   } catch (error) {
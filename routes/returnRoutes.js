@@ -0,0 +1,129 @@
+const express = require('express');
+const router = express.Router();
+const verifyAuthToken = require('../utils/authToken');
+const Order = require('../models/Order');
+const Return = require('../models/Return');
+const returnService = require('../services/returnService');
+const ApiError = require('../utils/ApiError');
+
+// Middleware to verify user authentication
+const authenticate = async (req, res, next) => {
+  try {
+    const token = req.headers.authorization?.split(' ')[1];
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authenticated',
+      });
+    }
+
+    const decoded = verifyAuthToken(token);
+    req.userId = decoded.id;
+    next();
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid token',
+    });
+  }
+};
+
+// OPEN a return request for items in a delivered order
+router.post('/', authenticate, async (req, res) => {
+  try {
+    const { orderId, items, reason } = req.body;
+
+    if (!orderId || !reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the order and a reason for the return',
+      });
+    }
+
+    const order = await Order.findById(orderId);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found',
+      });
+    }
+
+    if (!order.user || order.user.toString() !== req.userId) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only return items from your own orders',
+      });
+    }
+
+    const ret = await returnService.createReturn(order, req.userId, { items, reason });
+
+    console.log(`↩️  Return ${ret.rmaNumber} opened for order ${order.orderNumber}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Return request submitted',
+      data: ret,
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...error.details,
+      });
+    }
+
+    console.error('Error creating return:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create return',
+      error: error.message,
+    });
+  }
+});
+
+// GET current user's returns
+router.get('/my-returns', authenticate, async (req, res) => {
+  try {
+    const returns = await Return.find({ user: req.userId })
+      .sort({ createdAt: -1 })
+      .populate('order', 'orderNumber');
+
+    res.json({
+      success: true,
+      data: returns,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch returns',
+    });
+  }
+});
+
+// GET a single return (owner only)
+router.get('/:id', authenticate, async (req, res) => {
+  try {
+    const ret = await Return.findById(req.params.id).populate('order', 'orderNumber');
+
+    if (!ret || ret.user.toString() !== req.userId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Return not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: ret,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch return',
+    });
+  }
+});
+
+module.exports = router;
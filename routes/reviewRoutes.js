@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
+const verifyAuthToken = require('../utils/authToken');
 const Review = require('../models/Review');
 const Product = require('../models/product');
 const Order = require('../models/Order');
@@ -17,7 +17,7 @@ const authenticate = async (req, res, next) => {
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = verifyAuthToken(token);
     req.userId = decoded.id;
     next();
   } catch (error) {
@@ -281,8 +281,7 @@ router.patch('/:id/helpful', async (req, res) => {
   
       if (token) {
         try {
-          const jwt = require('jsonwebtoken');
-          const decoded = jwt.verify(token, process.env.JWT_SECRET);
+          const decoded = verifyAuthToken(token);
           userId = decoded.id;
         } catch (error) {
           // Token invalid, continue as guest
@@ -354,8 +353,7 @@ router.patch('/:id/helpful', async (req, res) => {
         });
       }
   
-      const jwt = require('jsonwebtoken');
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const decoded = verifyAuthToken(token);
       const userId = decoded.id;
   
       const review = await Review.findById(req.params.id);
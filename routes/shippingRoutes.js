@@ -0,0 +1,50 @@
+const express = require('express');
+const router = express.Router();
+const pricingService = require('../services/pricingService');
+const shippingService = require('../services/shippingService');
+const currencyService = require('../services/currencyService');
+const ApiError = require('../utils/ApiError');
+
+// QUOTE available shipping methods for a cart and destination
+router.post('/quote', async (req, res) => {
+  try {
+    const { items, shippingInfo, currency: requestedCurrency } = req.body;
+
+    if (!shippingInfo || !shippingInfo.country) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a shipping destination',
+      });
+    }
+
+    const currency = currencyService.normalizeCurrency(requestedCurrency);
+    const rate = await currencyService.getRate(currency);
+
+    const lineItems = await pricingService.buildLineItems(items, { currency, rate });
+    const subtotal = pricingService.getSubtotal(lineItems);
+    const methods = await shippingService.quoteMethods(lineItems, shippingInfo, subtotal, rate);
+
+    res.json({
+      success: true,
+      currency,
+      data: methods,
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...error.details,
+      });
+    }
+
+    console.error('Error quoting shipping:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to quote shipping',
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,54 @@
+const express = require('express');
+const router = express.Router();
+const verifyAuthToken = require('../utils/authToken');
+const storeCreditService = require('../services/storeCreditService');
+const { BASE_CURRENCY } = require('../services/currencyService');
+
+// Middleware to verify user authentication
+const authenticate = async (req, res, next) => {
+  try {
+    const token = req.headers.authorization?.split(' ')[1];
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authenticated',
+      });
+    }
+
+    const decoded = verifyAuthToken(token);
+    req.userId = decoded.id;
+    next();
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid token',
+    });
+  }
+};
+
+// GET MY STORE CREDIT (balance and history)
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const [balance, transactions] = await Promise.all([
+      storeCreditService.getBalance(req.userId),
+      storeCreditService.listTransactions(req.userId).select('-createdBy'),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        balance,
+        currency: BASE_CURRENCY,
+        transactions,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch store credit',
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
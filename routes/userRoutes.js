@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
+const verifyAuthToken = require('../utils/authToken');
 const User = require('../models/User');
 
 // Middleware to verify admin
@@ -14,7 +14,7 @@ const verifyAdmin = async (req, res, next) => {
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = verifyAuthToken(token);
     const user = await User.findById(decoded.id);
 
     if (!user || user.role !== 'admin') {
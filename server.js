@@ -2,9 +2,16 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const connectDB = require('./config/database');
+const checkoutService = require('./services/checkoutService');
 
 const app = express();
 
+// Behind a proxy/load balancer, TRUST_PROXY (e.g. 1 for one hop) makes req.ip
+// the client's address rather than the proxy's
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
 // Connect to MongoDB
 connectDB();
 
@@ -29,7 +36,18 @@ const corsOptions = {
 };
 
 app.use(cors(corsOptions));
-app.use(express.json());
+// Bulk product imports are bigger than ordinary requests and may be CSV
+app.use(
+  '/api/admin/products/import',
+  express.json({ limit: process.env.PRODUCT_IMPORT_MAX_SIZE || '10mb' }),
+  express.text({ type: ['text/csv', 'text/plain'], limit: process.env.PRODUCT_IMPORT_MAX_SIZE || '10mb' })
+);
+// Keep the raw body around so Stripe webhook signatures can be verified
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Routes - ALL with /api prefix
@@ -38,9 +56,21 @@ app.use('/api/products', require('./routes/productRoutes'));
 app.use('/api/payment', require('./routes/paymentRoutes'));
 app.use('/api/cart', require('./routes/cartRoutes'));
 app.use('/api/admin', require('./routes/adminRoutes'));
+app.use('/api/admin/products', require('./routes/adminProductRoutes'));
 app.use('/api/admin/users', require('./routes/userRoutes'));
+app.use('/api/admin/returns', require('./routes/adminReturnRoutes'));
+app.use('/api/admin/coupons', require('./routes/adminCouponRoutes'));
+app.use('/api/admin/tax', require('./routes/adminTaxRoutes'));
+app.use('/api/admin/shipping-methods', require('./routes/adminShippingRoutes'));
+app.use('/api/admin/gift-cards', require('./routes/adminGiftCardRoutes'));
+app.use('/api/admin/store-credit', require('./routes/adminStoreCreditRoutes'));
 app.use('/api/reviews', require('./routes/reviewRoutes'));
 app.use('/api/profile', require('./routes/profileRoutes'));
+app.use('/api/returns', require('./routes/returnRoutes'));
+app.use('/api/coupons', require('./routes/couponRoutes'));
+app.use('/api/shipping', require('./routes/shippingRoutes'));
+app.use('/api/gift-cards', require('./routes/giftCardRoutes'));
+app.use('/api/store-credit', require('./routes/storeCreditRoutes'));
 
 // Root route
 app.get('/', (req, res) => {
@@ -54,6 +84,11 @@ app.get('/', (req, res) => {
       orders: '/api/payment',
       reviews: '/api/reviews',
       profile: '/api/profile',
+      returns: '/api/returns',
+      coupons: '/api/coupons',
+      shipping: '/api/shipping',
+      giftCards: '/api/gift-cards',
+      storeCredit: '/api/store-credit',
       admin: '/api/admin'
     }
   });
@@ -93,4 +128,7 @@ const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
   console.log(`📝 Environment: ${process.env.NODE_ENV}`);
+
+  // Cancel abandoned payment intents and release their held stock
+  checkoutService.startCheckoutSweeper();
 });
\ No newline at end of file
@@ -0,0 +1,128 @@
+const ApiError = require('../utils/ApiError');
+const inventoryService = require('./inventoryService');
+const refundService = require('./refundService');
+const couponService = require('./couponService');
+const { getPaymentProvider } = require('./payments');
+const orderStatusService = require('./orderStatusService');
+const shipmentService = require('./shipmentService');
+
+const remainingQuantity = (item) => item.quantity - (item.cancelledQuantity || 0);
+
+// Turn `[{ itemId, quantity }]` from the request into order line selections.
+// Only units that have not shipped can be cancelled - shipped units have to
+// come back as a return. With no items, every cancellable unit is selected.
+const resolveSelections = (order, items) => {
+  const shipped = shipmentService.getShippedQuantities(order);
+  const cancellableQuantity = (item) => shipmentService.getUnshippedQuantity(item, shipped);
+
+  if (!items || items.length === 0) {
+    return order.items
+      .filter(item => cancellableQuantity(item) > 0)
+      .map(item => ({ item, quantity: cancellableQuantity(item) }));
+  }
+
+  return items.map(({ itemId, quantity }) => {
+    const item = order.items.id(itemId);
+
+    if (!item) {
+      throw new ApiError(404, `Item ${itemId} not found in this order`);
+    }
+
+    const qty = quantity === undefined ? cancellableQuantity(item) : Number(quantity);
+    if (!Number.isInteger(qty) || qty < 1 || qty > cancellableQuantity(item)) {
+      throw new ApiError(400, `Invalid quantity for ${item.name}. ${cancellableQuantity(item)} can be cancelled.`);
+    }
+
+    return { item, quantity: qty };
+  });
+};
+
+// Cancel all or part of an order: refund through Stripe first, then restock
+// and update the order. If the refund fails nothing else is changed.
+const cancelOrder = async (order, { items, reason, initiatedBy, initiatedByRole }) => {
+  const selections = resolveSelections(order, items);
+
+  if (selections.length === 0) {
+    throw new ApiError(400, 'Nothing left to cancel on this order. Shipped items have to be returned.');
+  }
+
+  // Full only when nothing has shipped, since shipped units are never selected
+  const cancelledUnits = new Map(selections.map(s => [s.item._id.toString(), s.quantity]));
+  const isFullCancellation = order.items.every(
+    item => remainingQuantity(item) === (cancelledUnits.get(item._id.toString()) || 0)
+  );
+
+  // Check the state machine before touching payment or stock
+  if (isFullCancellation && !orderStatusService.canTransition(order.orderStatus, 'cancelled')) {
+    throw new ApiError(400, `Cannot cancel an order that is ${order.orderStatus}`);
+  }
+
+  const amount = isFullCancellation
+    ? refundService.getRefundableAmount(order)
+    : refundService.calculateItemsRefund(order, selections);
+
+  const refund = await refundService.refundOrder(order, {
+    amount,
+    items: selections,
+    reason,
+    initiatedBy,
+  });
+
+  // Nothing was captured yet - stop the pending PaymentIntent instead
+  if (isFullCancellation && order.paymentInfo.paymentStatus === 'pending' && order.paymentInfo.stripePaymentIntentId) {
+    try {
+      await getPaymentProvider(order.paymentInfo.provider).cancelIntent(order.paymentInfo.stripePaymentIntentId);
+    } catch (error) {
+      console.error(`Could not cancel PaymentIntent for order ${order.orderNumber}:`, error.message);
+    }
+  }
+
+  selections.forEach(({ item, quantity }) => {
+    item.cancelledQuantity = (item.cancelledQuantity || 0) + quantity;
+  });
+
+  const cancelledLines = selections.map(({ item, quantity }) => ({
+    product: item.product,
+    variant: item.variant,
+    name: item.name,
+    size: item.size,
+    color: item.color,
+    width: item.width,
+    quantity,
+  }));
+  // Every selected unit is still in the warehouse, so all of them go back on sale
+  await inventoryService.releaseStock(cancelledLines);
+  await inventoryService.recordSales(cancelledLines, -1);
+
+  if (isFullCancellation) {
+    orderStatusService.transitionOrder(order, 'cancelled', {
+      changedBy: initiatedBy,
+      changedByRole: initiatedByRole,
+      note: reason,
+    });
+  } else {
+    // Cancelling the last unshipped units leaves the order fully shipped
+    shipmentService.syncOrderStatus(order, {
+      changedBy: initiatedByRole === 'admin' ? initiatedBy : undefined,
+      note: reason,
+    });
+  }
+
+  await order.save();
+
+  // A cancelled order no longer counts as a use of its coupon
+  const couponId = order.pricing.coupon?.couponId;
+  if (isFullCancellation && couponId) {
+    try {
+      await couponService.releaseCoupon(couponId);
+    } catch (error) {
+      console.error(`Could not release coupon for order ${order.orderNumber}:`, error.message);
+    }
+  }
+
+  return { order, refund, isFullCancellation };
+};
+
+module.exports = {
+  cancelOrder,
+};
@@ -0,0 +1,31 @@
+const mockCarrier = require('./mockCarrier');
+
+// Carrier adapters keyed by name. An adapter implements:
+//   name                                  - key stored on shipments
+//   displayName                           - label shown to customers
+//   generateTrackingNumber()              - optional, used when none is given
+//   getTrackingUrl(trackingNumber)        - public tracking link
+//   getTracking(trackingNumber, context)  - { status, deliveredAt, events }
+const carriers = new Map();
+
+const registerCarrier = (adapter) => {
+  if (!adapter || !adapter.name || typeof adapter.getTracking !== 'function') {
+    throw new Error('Carrier adapter must have a name and a getTracking() method');
+  }
+  carriers.set(adapter.name, adapter);
+};
+
+const getCarrier = (name) => carriers.get(name) || null;
+
+const listCarriers = () => Array.from(carriers.values()).map(c => ({
+  name: c.name,
+  displayName: c.displayName || c.name,
+}));
+
+registerCarrier(mockCarrier);
+
+module.exports = {
+  registerCarrier,
+  getCarrier,
+  listCarriers,
+};
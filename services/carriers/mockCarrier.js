@@ -0,0 +1,39 @@
+// Local carrier used in development and tests. Shipments are "in transit" as
+// soon as they ship and "delivered" once MOCK_CARRIER_DELIVERY_HOURS pass.
+const DELIVERY_HOURS = Number(process.env.MOCK_CARRIER_DELIVERY_HOURS ?? 48);
+
+const mockCarrier = {
+  name: 'mock',
+  displayName: 'Mock Carrier',
+
+  generateTrackingNumber() {
+    const randomStr = Math.random().toString(36).substring(2, 12).toUpperCase();
+    return `MOCK${randomStr}`;
+  },
+
+  getTrackingUrl(trackingNumber) {
+    return `https://tracking.example.com/mock/${trackingNumber}`;
+  },
+
+  async getTracking(trackingNumber, { shippedAt } = {}) {
+    const shipped = shippedAt ? new Date(shippedAt) : new Date();
+    const deliveredAt = new Date(shipped.getTime() + DELIVERY_HOURS * 60 * 60 * 1000);
+    const delivered = Date.now() >= deliveredAt.getTime();
+
+    const events = [
+      { status: 'in_transit', description: 'Picked up by carrier', occurredAt: shipped },
+    ];
+    if (delivered) {
+      events.push({ status: 'delivered', description: 'Delivered', occurredAt: deliveredAt });
+    }
+
+    return {
+      trackingNumber,
+      status: delivered ? 'delivered' : 'in_transit',
+      deliveredAt: delivered ? deliveredAt : null,
+      events,
+    };
+  },
+};
+
+module.exports = mockCarrier;
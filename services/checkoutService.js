@@ -0,0 +1,297 @@
+const PendingCheckout = require('../models/PendingCheckout');
+const ApiError = require('../utils/ApiError');
+const { toStripeAmount } = require('../utils/money');
+const inventoryService = require('./inventoryService');
+const { getPaymentProvider } = require('./payments');
+
+// How long stock is held for an unpaid checkout
+const CHECKOUT_TTL_MINUTES = Number(process.env.PENDING_CHECKOUT_TTL_MINUTES ?? 30);
+// How often the sweeper looks for expired checkouts (0 turns it off)
+const SWEEP_INTERVAL_MS = Number(process.env.CHECKOUT_SWEEP_INTERVAL_MS ?? 5 * 60 * 1000);
+const SWEEP_BATCH_SIZE = 100;
+// A checkout left mid-sweep (e.g. the server stopped) is picked up again after this
+const STUCK_AFTER_MS = 10 * 60 * 1000;
+// Checkouts holding stock that one IP address may have open at once
+const MAX_HOLDS_PER_IP = Number(process.env.MAX_CHECKOUT_HOLDS_PER_IP ?? 3);
+
+const expiryFromNow = () => new Date(Date.now() + CHECKOUT_TTL_MINUTES * 60 * 1000);
+
+// Units per product + variant (or size), to compare a held cart with the order
+const quantitiesByLine = (items) => {
+  const lines = new Map();
+  items.forEach((item) => {
+    const key = `${item.product}:${item.variant || item.size}`;
+    lines.set(key, (lines.get(key) || 0) + item.quantity);
+  });
+  return lines;
+};
+
+const sameLines = (a, b) => {
+  const left = quantitiesByLine(a);
+  const right = quantitiesByLine(b);
+  return left.size === right.size && [...left].every(([key, qty]) => right.get(key) === qty);
+};
+
+// A signed-in customer has one cart, so a new checkout replaces their
+// earlier ones: those are settled like expired checkouts (paid or still
+// settling ones are kept), releasing their stock. Guests are not matched by
+// email - anyone could type someone else's and cancel their payment.
+const supersedeCheckouts = async (userId) => {
+  if (!userId) return;
+
+  for (let i = 0; i < SWEEP_BATCH_SIZE; i++) {
+    const checkout = await PendingCheckout.findOneAndUpdate(
+      { status: 'pending', stockHeld: true, user: userId },
+      { status: 'expiring' },
+      { new: true }
+    );
+    if (!checkout) return;
+
+    try {
+      await expireCheckout(checkout);
+    } catch (error) {
+      console.error(`❌ Could not release earlier checkout ${checkout.paymentIntentId}:`, error.message);
+      // Leave it for the sweeper
+      await PendingCheckout.updateOne({ _id: checkout._id, status: 'expiring' }, { status: 'pending' });
+      return;
+    }
+  }
+};
+
+// Stock holds are free to open, so each requester may only have a few at a
+// time - otherwise a script could keep the catalogue out of stock
+const assertHoldAllowed = async (ip) => {
+  if (!ip || !MAX_HOLDS_PER_IP) return;
+
+  const open = await PendingCheckout.countDocuments({ ip, status: 'pending', stockHeld: true });
+  if (open >= MAX_HOLDS_PER_IP) {
+    throw new ApiError(429, 'Too many checkouts in progress. Please complete one or try again later.');
+  }
+};
+
+// Hold stock for the cart, create the PaymentIntent for `amountDue` and
+// record the checkout. The customer's earlier checkouts are released first,
+// and each IP address can only hold stock for a few checkouts at once.
+// Throws (holding nothing) if the cart is out of stock.
+const openCheckout = async ({
+  lineItems,
+  amountDue,
+  currency,
+  exchangeRate,
+  pricing,
+  couponCode,
+  userId,
+  email,
+  ip,
+  idempotencyKey,
+}) => {
+  const provider = getPaymentProvider();
+
+  await supersedeCheckouts(userId);
+  await assertHoldAllowed(ip);
+
+  await inventoryService.reserveStock(lineItems);
+
+  let paymentIntent;
+  try {
+    paymentIntent = await provider.createIntent({
+      amount: toStripeAmount(amountDue),
+      currency: currency.toLowerCase(),
+      idempotencyKey,
+    });
+  } catch (error) {
+    await inventoryService.releaseStock(lineItems);
+    throw error;
+  }
+
+  try {
+    await PendingCheckout.create({
+      paymentIntentId: paymentIntent.id,
+      provider: provider.name,
+      user: userId,
+      email,
+      ip,
+      items: lineItems.map(({ product, variant, sku, color, width, name, price, size, quantity, image }) => ({
+        product, variant, sku, color, width, name, price, size, quantity, image,
+      })),
+      currency,
+      exchangeRate,
+      couponCode,
+      pricing: {
+        subtotal: pricing.subtotal,
+        discount: pricing.discount,
+        shipping: pricing.shipping,
+        tax: pricing.tax,
+        total: pricing.total,
+      },
+      amountDue,
+      stockHeld: true,
+      expiresAt: expiryFromNow(),
+    });
+  } catch (error) {
+    await inventoryService.releaseStock(lineItems);
+
+    // A retried idempotency key returns the same PaymentIntent, which is
+    // already recorded with its own hold
+    if (error.code !== 11000) {
+      await provider.cancelIntent(paymentIntent.id).catch(() => {});
+      throw error;
+    }
+  }
+
+  return { paymentIntent, provider };
+};
+
+// Take over the stock held for this PaymentIntent when creating its order.
+// Returns true if the hold covers exactly `items`; otherwise any hold is
+// released and the caller reserves stock itself.
+const claimHeldStock = async (paymentIntentId, items) => {
+  const checkout = await PendingCheckout.findOneAndUpdate(
+    { paymentIntentId, status: { $in: ['pending', 'requires_attention'] }, stockHeld: true },
+    { status: 'converting' },
+    { new: true }
+  );
+
+  if (!checkout) return false;
+
+  if (sameLines(checkout.items, items)) return true;
+
+  // The cart changed since the intent was created
+  await inventoryService.releaseStock(checkout.items);
+  checkout.status = 'pending';
+  checkout.stockHeld = false;
+  await checkout.save();
+  return false;
+};
+
+// The order was created - the checkout is done
+const completeCheckout = async (paymentIntentId, orderId) => {
+  await PendingCheckout.updateOne(
+    { paymentIntentId },
+    { status: 'completed', stockHeld: false, order: orderId, completedAt: new Date() }
+  );
+};
+
+// Order creation failed after claiming the hold (the caller gave the stock
+// back). The intent stays open for a retry until the sweeper expires it.
+const releaseClaim = async (paymentIntentId) => {
+  await PendingCheckout.updateOne(
+    { paymentIntentId, status: 'converting' },
+    { status: 'pending', stockHeld: false }
+  );
+};
+
+// Settle one expired checkout according to its PaymentIntent
+const expireCheckout = async (checkout) => {
+  // The checkout's intent lives with the provider that created it
+  const provider = getPaymentProvider(checkout.provider);
+
+  let paymentIntent = null;
+  try {
+    paymentIntent = await provider.retrieveIntent(checkout.paymentIntentId);
+  } catch (error) {
+    // The provider no longer knows the intent (e.g. mock provider restarted)
+    if (error.statusCode !== 404) throw error;
+  }
+
+  // Paid but never turned into an order - keep the stock and flag it
+  if (paymentIntent?.status === 'succeeded') {
+    checkout.status = 'requires_attention';
+    await checkout.save();
+    console.log(`⚠️  Checkout ${checkout.paymentIntentId} was paid but has no order`);
+    return 'requires_attention';
+  }
+
+  // Payment is still settling - give it another round
+  if (paymentIntent?.status === 'processing' || paymentIntent?.status === 'requires_capture') {
+    checkout.status = 'pending';
+    checkout.expiresAt = expiryFromNow();
+    await checkout.save();
+    return 'extended';
+  }
+
+  if (paymentIntent && paymentIntent.status !== 'canceled') {
+    await provider.cancelIntent(checkout.paymentIntentId);
+  }
+
+  if (checkout.stockHeld) {
+    await inventoryService.releaseStock(checkout.items);
+  }
+
+  checkout.status = 'expired';
+  checkout.stockHeld = false;
+  checkout.expiredAt = new Date();
+  await checkout.save();
+  return 'expired';
+};
+
+// Cancel the PaymentIntents of checkouts past their expiry and release their
+// stock. Each checkout is claimed first, so overlapping runs (or several
+// servers) never handle the same one twice.
+const sweepExpiredCheckouts = async () => {
+  const counts = { expired: 0, extended: 0, requires_attention: 0, failed: 0 };
+
+  for (let i = 0; i < SWEEP_BATCH_SIZE; i++) {
+    const now = new Date();
+    const checkout = await PendingCheckout.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'pending', expiresAt: { $lte: now } },
+          { status: 'expiring', updatedAt: { $lte: new Date(now - STUCK_AFTER_MS) } },
+        ],
+      },
+      { status: 'expiring' },
+      { new: true, sort: { expiresAt: 1 } }
+    );
+
+    if (!checkout) break;
+
+    try {
+      counts[await expireCheckout(checkout)] += 1;
+    } catch (error) {
+      counts.failed += 1;
+      console.error(`❌ Could not expire checkout ${checkout.paymentIntentId}:`, error.message);
+      // Try again on the next run
+      await PendingCheckout.updateOne(
+        { _id: checkout._id, status: 'expiring' },
+        { status: 'pending', expiresAt: expiryFromNow() }
+      );
+    }
+  }
+
+  if (counts.expired || counts.requires_attention || counts.failed) {
+    console.log(`🧹 Checkout sweep: ${counts.expired} expired, ${counts.requires_attention} need attention, ${counts.failed} failed`);
+  }
+
+  return counts;
+};
+
+// Run the sweeper in the background for the life of the process
+const startCheckoutSweeper = () => {
+  if (!SWEEP_INTERVAL_MS) return null;
+
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await sweepExpiredCheckouts();
+    } catch (error) {
+      console.error('Checkout sweep failed:', error.message);
+    } finally {
+      running = false;
+    }
+  }, SWEEP_INTERVAL_MS);
+
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  openCheckout,
+  claimHeldStock,
+  completeCheckout,
+  releaseClaim,
+  sweepExpiredCheckouts,
+  startCheckoutSweeper,
+};
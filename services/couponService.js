@@ -0,0 +1,187 @@
+const Coupon = require('../models/Coupon');
+const Order = require('../models/Order');
+const ApiError = require('../utils/ApiError');
+const { roundMoney } = require('../utils/money');
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+// Orders that count towards per-user limits and first-order checks
+const customerOrderFilter = ({ userId, email }) => {
+  const or = [];
+  if (userId) or.push({ user: userId });
+  if (email) or.push({ 'shippingInfo.email': String(email).toLowerCase() });
+  return or.length > 0 ? { $or: or, orderStatus: { $ne: 'cancelled' } } : null;
+};
+
+// Line items the coupon's brand/category restrictions allow
+const getEligibleItems = (coupon, lineItems) => {
+  const brands = coupon.brands.map(b => b.toLowerCase());
+
+  return lineItems.filter((item) => {
+    if (brands.length > 0 && !brands.includes(String(item.brand).toLowerCase())) return false;
+    if (coupon.categories.length > 0 && !coupon.categories.includes(item.category)) return false;
+    return true;
+  });
+};
+
+// Buy X get Y: the cheapest units in every group of X + Y get the discount
+const calculateBuyXGetYDiscount = (coupon, eligibleItems) => {
+  const groupSize = coupon.buyQuantity + coupon.getQuantity;
+  if (coupon.buyQuantity < 1 || coupon.getQuantity < 1) return 0;
+
+  const unitPrices = eligibleItems
+    .flatMap(item => Array(item.quantity).fill(item.price))
+    .sort((a, b) => a - b);
+
+  const discountedUnits = Math.floor(unitPrices.length / groupSize) * coupon.getQuantity;
+
+  return unitPrices
+    .slice(0, discountedUnits)
+    .reduce((sum, price) => sum + price * (coupon.getDiscountPercent / 100), 0);
+};
+
+// Discount the coupon gives on these line items, without checking dates or
+// limits. Also used to re-price an order that already redeemed the coupon.
+const calculateDiscount = (coupon, lineItems, subtotal, rate = 1) => {
+  const eligibleItems = getEligibleItems(coupon, lineItems);
+  const eligibleSubtotal = eligibleItems.reduce((sum, item) => sum + item.price * item.quantity, 0);
+  let discount = 0;
+  let freeShipping = false;
+
+  switch (coupon.type) {
+    case 'percentage':
+      discount = eligibleSubtotal * (coupon.value / 100);
+      if (coupon.maxDiscount !== null) discount = Math.min(discount, coupon.maxDiscount * rate);
+      break;
+    case 'fixed_amount':
+      discount = Math.min(coupon.value * rate, eligibleSubtotal);
+      break;
+    case 'free_shipping':
+      freeShipping = true;
+      break;
+    case 'buy_x_get_y':
+      discount = calculateBuyXGetYDiscount(coupon, eligibleItems);
+      break;
+    default:
+      throw new ApiError(400, 'Unsupported coupon type');
+  }
+
+  return {
+    discount: roundMoney(Math.min(discount, subtotal)),
+    freeShipping,
+    eligibleItems,
+  };
+};
+
+// Check every restriction and work out the discount for this cart.
+// Money amounts on the coupon are in the base currency and converted with
+// `rate` into the cart's currency.
+// Returns { discount, freeShipping, summary } or throws a 400 ApiError.
+const evaluateCoupon = async (coupon, { lineItems, subtotal, userId, email, rate = 1 }) => {
+  const now = new Date();
+  const minSubtotal = roundMoney(coupon.minSubtotal * rate);
+
+  if (!coupon.isActive) {
+    throw new ApiError(400, 'This coupon is no longer active');
+  }
+  if (coupon.startsAt && now < coupon.startsAt) {
+    throw new ApiError(400, 'This coupon is not active yet');
+  }
+  if (coupon.endsAt && now > coupon.endsAt) {
+    throw new ApiError(400, 'This coupon has expired');
+  }
+  if (coupon.usageLimit !== null && coupon.usageCount >= coupon.usageLimit) {
+    throw new ApiError(400, 'This coupon has reached its usage limit');
+  }
+  if (subtotal < minSubtotal) {
+    throw new ApiError(400, `A minimum subtotal of ${minSubtotal.toFixed(2)} is required for this coupon`);
+  }
+
+  if (coupon.perUserLimit !== null || coupon.firstOrderOnly) {
+    const filter = customerOrderFilter({ userId, email });
+
+    if (!filter) {
+      throw new ApiError(400, 'Please sign in or enter your email to use this coupon');
+    }
+
+    if (coupon.firstOrderOnly && await Order.exists(filter)) {
+      throw new ApiError(400, 'This coupon is only valid on your first order');
+    }
+
+    if (coupon.perUserLimit !== null) {
+      const used = await Order.countDocuments({
+        ...filter,
+        'pricing.coupon.code': coupon.code,
+        orderStatus: { $ne: 'cancelled' },
+      });
+      if (used >= coupon.perUserLimit) {
+        throw new ApiError(400, 'You have already used this coupon the maximum number of times');
+      }
+    }
+  }
+
+  const { discount, freeShipping, eligibleItems } = calculateDiscount(coupon, lineItems, subtotal, rate);
+
+  if (eligibleItems.length === 0) {
+    throw new ApiError(400, 'This coupon does not apply to any items in your cart');
+  }
+  if (coupon.type === 'buy_x_get_y' && discount <= 0) {
+    throw new ApiError(400, `Add ${coupon.buyQuantity + coupon.getQuantity} eligible items to use this coupon`);
+  }
+
+  return {
+    discount,
+    freeShipping,
+    summary: {
+      couponId: coupon._id,
+      code: coupon.code,
+      type: coupon.type,
+      description: coupon.description,
+      discount,
+      freeShipping,
+    },
+  };
+};
+
+// Look up a coupon by code and evaluate it against the cart
+const applyCoupon = async (code, context) => {
+  const coupon = await Coupon.findOne({ code: normalizeCode(code) });
+
+  if (!coupon) {
+    throw new ApiError(404, 'Coupon not found');
+  }
+
+  return evaluateCoupon(coupon, context);
+};
+
+// Count one use, atomically respecting the global usage limit.
+// Throws if the last use was taken by a concurrent checkout.
+const redeemCoupon = async (couponId) => {
+  const result = await Coupon.updateOne(
+    {
+      _id: couponId,
+      $or: [
+        { usageLimit: null },
+        { $expr: { $lt: ['$usageCount', '$usageLimit'] } },
+      ],
+    },
+    { $inc: { usageCount: 1 } }
+  );
+
+  if (result.modifiedCount !== 1) {
+    throw new ApiError(400, 'This coupon has reached its usage limit');
+  }
+};
+
+// Give a use back (order creation failed after redeeming)
+const releaseCoupon = async (couponId) => {
+  await Coupon.updateOne({ _id: couponId, usageCount: { $gt: 0 } }, { $inc: { usageCount: -1 } });
+};
+
+module.exports = {
+  normalizeCode,
+  calculateDiscount,
+  applyCoupon,
+  redeemCoupon,
+  releaseCoupon,
+};
@@ -0,0 +1,60 @@
+const ExchangeRate = require('../models/ExchangeRate');
+const ApiError = require('../utils/ApiError');
+const { roundMoney } = require('../utils/money');
+
+// Product prices, coupons and shipping rates are set in the base currency
+const BASE_CURRENCY = (process.env.BASE_CURRENCY || 'USD').toUpperCase();
+const SUPPORTED_CURRENCIES = (process.env.SUPPORTED_CURRENCIES || 'USD,CAD,EUR')
+  .split(',')
+  .map(c => c.trim().toUpperCase())
+  .filter(Boolean);
+
+// Validate a requested currency, defaulting to the base currency
+const normalizeCurrency = (currency) => {
+  const code = String(currency || BASE_CURRENCY).trim().toUpperCase();
+
+  if (!SUPPORTED_CURRENCIES.includes(code)) {
+    throw new ApiError(400, `Currency ${code} is not supported`, {
+      supportedCurrencies: SUPPORTED_CURRENCIES,
+    });
+  }
+
+  return code;
+};
+
+// Units of `currency` per base unit, from the admin-managed table
+const getRate = async (currency) => {
+  if (currency === BASE_CURRENCY) return 1;
+
+  const exchangeRate = await ExchangeRate.findOne({ currency });
+  if (!exchangeRate) {
+    throw new ApiError(400, `No exchange rate configured for ${currency}`);
+  }
+
+  return exchangeRate.rate;
+};
+
+// A product's price in `currency`: its own price for that currency if set,
+// otherwise the base price converted at `rate`
+const priceFor = (product, currency, rate, variant) => {
+  // A variant's own price (in the base currency) replaces the product's prices
+  if (variant && variant.price !== undefined && variant.price !== null) {
+    return currency === BASE_CURRENCY ? variant.price : roundMoney(variant.price * rate);
+  }
+
+  if (currency === BASE_CURRENCY) return product.price;
+
+  const override = (product.prices || []).find(p => p.currency === currency);
+  return override ? override.amount : roundMoney(product.price * rate);
+};
+
+const fromBase = (amount, rate) => roundMoney(amount * rate);
+
+module.exports = {
+  BASE_CURRENCY,
+  SUPPORTED_CURRENCIES,
+  normalizeCurrency,
+  getRate,
+  priceFor,
+  fromBase,
+};
@@ -0,0 +1,237 @@
+const PDFDocument = require('pdfkit');
+const { roundMoney, formatMoney } = require('../utils/money');
+
+const STORE_NAME = process.env.STORE_NAME || 'ShoeMart';
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric',
+});
+
+const addressLines = (info) => [
+  `${info.firstName} ${info.lastName}`,
+  info.address,
+  `${info.city}, ${info.state} ${info.zipCode}`,
+  info.country,
+  info.phone,
+].filter(Boolean);
+
+const drawHeader = (doc, title, order) => {
+  doc.fontSize(20).font('Helvetica-Bold').text(STORE_NAME, 50, 50);
+  doc.fontSize(16).text(title, 50, 50, { align: 'right' });
+
+  doc.fontSize(10).font('Helvetica')
+    .text(`Order: ${order.orderNumber}`, 50, 80, { align: 'right' })
+    .text(`Date: ${formatDate(order.createdAt)}`, { align: 'right' });
+
+  doc.moveTo(50, 115).lineTo(545, 115).stroke();
+};
+
+const drawAddress = (doc, label, info, x, y) => {
+  doc.font('Helvetica-Bold').fontSize(10).text(label, x, y);
+  doc.font('Helvetica');
+  addressLines(info).forEach(line => doc.text(line, x));
+};
+
+// Simple table: columns = [{ label, width, align }], rows = arrays of strings
+const drawTable = (doc, columns, rows, startY) => {
+  let y = startY;
+
+  const drawRow = (cells, bold) => {
+    let x = 50;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10);
+    const height = Math.max(...cells.map((cell, i) => doc.heightOfString(cell, { width: columns[i].width })));
+
+    if (y + height > doc.page.height - 80) {
+      doc.addPage();
+      y = 50;
+    }
+
+    cells.forEach((cell, i) => {
+      doc.text(cell, x, y, { width: columns[i].width, align: columns[i].align || 'left' });
+      x += columns[i].width;
+    });
+
+    y += height + 6;
+  };
+
+  drawRow(columns.map(c => c.label), true);
+  doc.moveTo(50, y - 3).lineTo(545, y - 3).stroke();
+  rows.forEach(row => drawRow(row, false));
+
+  return y;
+};
+
+// Product name, plus colorway/width and SKU for variant lines
+const itemLabel = (item) => {
+  if (!item.sku) return item.name;
+
+  const options = [item.color, item.width && item.width !== 'standard' ? item.width : null].filter(Boolean);
+  return `${item.name}${options.length ? ` (${options.join(', ')})` : ''}\nSKU ${item.sku}`;
+};
+
+// Units still on the order (cancelled units are left off documents)
+const activeQuantity = (item) => item.quantity - (item.cancelledQuantity || 0);
+
+// Totals for the units still on the order, so the invoice of a partly
+// cancelled order adds up: the discount is shared by value, each line keeps
+// its own tax (older orders use the order-wide rate) and shipping goes once
+// nothing is left. Unchanged orders keep their original pricing.
+const invoiceTotals = (order) => {
+  const { pricing } = order;
+  if (!order.items.some(item => item.cancelledQuantity > 0)) return pricing;
+
+  const subtotal = roundMoney(order.items.reduce((sum, item) => sum + item.price * activeQuantity(item), 0));
+  const share = pricing.subtotal > 0 ? subtotal / pricing.subtotal : 0;
+  const hasLineTax = order.items.some(item => (item.taxBreakdown || []).length > 0);
+
+  const discount = roundMoney((pricing.discount || 0) * share);
+  const shipping = subtotal > 0 ? pricing.shipping : 0;
+  const tax = roundMoney(hasLineTax
+    ? order.items.reduce((sum, item) => sum + (item.quantity > 0 ? (item.tax || 0) / item.quantity * activeQuantity(item) : 0), 0)
+    : pricing.tax * share);
+
+  return {
+    coupon: pricing.coupon,
+    subtotal,
+    discount,
+    shipping,
+    tax,
+    total: roundMoney(subtotal - discount + shipping + tax),
+  };
+};
+
+const writeInvoice = (doc, order) => {
+  const currency = order.currency || 'USD';
+  drawHeader(doc, 'INVOICE', order);
+
+  drawAddress(doc, 'Bill To', order.shippingInfo, 50, 130);
+  doc.text(order.shippingInfo.email);
+  drawAddress(doc, 'Ship To', order.shippingInfo, 300, 130);
+
+  const items = order.items.filter(item => activeQuantity(item) > 0);
+  let y = drawTable(doc, [
+    { label: 'Item', width: 215 },
+    { label: 'Size', width: 50, align: 'center' },
+    { label: 'Qty', width: 40, align: 'center' },
+    { label: 'Unit Price', width: 95, align: 'right' },
+    { label: 'Total', width: 95, align: 'right' },
+  ], items.map(item => [
+    itemLabel(item),
+    String(item.size),
+    String(activeQuantity(item)),
+    formatMoney(item.price, currency),
+    formatMoney(item.price * activeQuantity(item), currency),
+  ]), 230);
+
+  const pricing = invoiceTotals(order);
+  const totals = [
+    ['Subtotal', formatMoney(pricing.subtotal, currency)],
+  ];
+  if (pricing.discount > 0) {
+    totals.push([`Discount${pricing.coupon?.code ? ` (${pricing.coupon.code})` : ''}`, `-${formatMoney(pricing.discount, currency)}`]);
+  }
+  totals.push(
+    [`Shipping${order.shippingMethod?.name ? ` (${order.shippingMethod.name})` : ''}`, formatMoney(pricing.shipping, currency)],
+    ['Tax', formatMoney(pricing.tax, currency)],
+    ['Total', formatMoney(pricing.total, currency)]
+  );
+  (order.tenders || []).forEach((tender) => {
+    const label = tender.type === 'gift_card' ? `Paid by gift card ${tender.code}` : 'Paid by store credit';
+    totals.push([label, `-${formatMoney(tender.amount, currency)}`]);
+  });
+  if (pricing.total !== order.pricing.total) {
+    totals.push(['Original total', formatMoney(order.pricing.total, currency)]);
+  }
+  if (order.paymentInfo?.amountRefunded > 0) {
+    totals.push(['Refunded', `-${formatMoney(order.paymentInfo.amountRefunded, currency)}`]);
+  }
+
+  y += 10;
+  totals.forEach(([label, value]) => {
+    doc.font(label === 'Total' ? 'Helvetica-Bold' : 'Helvetica')
+      .text(label, 300, y, { width: 150, align: 'right' })
+      .text(value, 450, y, { width: 95, align: 'right' });
+    y += 16;
+  });
+
+  doc.font('Helvetica').fontSize(9)
+    .text(`Payment status: ${order.paymentInfo?.paymentStatus || 'pending'}`, 50, y + 20);
+};
+
+// `shipment` is optional - without it the slip lists everything not yet shipped
+const writePackingSlip = (doc, order, shipment) => {
+  drawHeader(doc, 'PACKING SLIP', order);
+  drawAddress(doc, 'Ship To', order.shippingInfo, 50, 130);
+
+  let lines;
+  if (shipment) {
+    lines = shipment.items
+      .map(({ itemId, quantity }) => ({ item: order.items.id(itemId), quantity }))
+      .filter(line => line.item);
+
+    doc.font('Helvetica').text(`Carrier: ${shipment.carrier}`, 300, 130)
+      .text(`Tracking: ${shipment.trackingNumber}`, 300)
+      .text(`Shipped: ${formatDate(shipment.shippedAt)}`, 300);
+  } else {
+    const shipped = new Map();
+    (order.shipments || []).forEach(s => s.items.forEach(({ itemId, quantity }) => {
+      shipped.set(itemId.toString(), (shipped.get(itemId.toString()) || 0) + quantity);
+    }));
+
+    lines = order.items
+      .map(item => ({ item, quantity: activeQuantity(item) - (shipped.get(item._id.toString()) || 0) }))
+      .filter(line => line.quantity > 0);
+  }
+
+  if (order.shippingMethod?.name) {
+    doc.font('Helvetica').text(`Method: ${order.shippingMethod.name}`, 300, shipment ? undefined : 130);
+  }
+
+  drawTable(doc, [
+    { label: 'Item', width: 295 },
+    { label: 'Size', width: 70, align: 'center' },
+    { label: 'Qty', width: 60, align: 'center' },
+    { label: 'Packed', width: 70, align: 'center' },
+  ], lines.map(({ item, quantity }) => [itemLabel(item), String(item.size), String(quantity), '[  ]']), 230);
+};
+
+// Each render* function streams a PDF into `output` (usually the response)
+const renderInvoice = (order, output) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  doc.pipe(output);
+  writeInvoice(doc, order);
+  doc.end();
+};
+
+const renderPackingSlip = (order, shipment, output) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  doc.pipe(output);
+  writePackingSlip(doc, order, shipment);
+  doc.end();
+};
+
+// One page (or more) per order, for the warehouse's daily print run
+const renderPackingSlips = (orders, output) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50, autoFirstPage: false });
+  doc.pipe(output);
+
+  orders.forEach((order) => {
+    doc.addPage();
+    writePackingSlip(doc, order, null);
+  });
+
+  if (orders.length === 0) {
+    doc.addPage();
+    doc.fontSize(12).text('No orders to pack.', 50, 50);
+  }
+
+  doc.end();
+};
+
+module.exports = {
+  renderInvoice,
+  renderPackingSlip,
+  renderPackingSlips,
+};
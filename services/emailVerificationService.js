@@ -0,0 +1,55 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const ApiError = require('../utils/ApiError');
+const mailService = require('./mailService');
+
+const VERIFY_PURPOSE = 'email-verify';
+const VERIFY_LINK_TTL = process.env.EMAIL_VERIFY_TTL || '24h';
+
+// Signed apart from login tokens, like order links
+const verifySecret = () => process.env.EMAIL_VERIFY_SECRET || `${process.env.JWT_SECRET}:${VERIFY_PURPOSE}`;
+
+// Email a link proving the account holder receives mail at their address
+const sendVerification = async (user) => {
+  const token = jwt.sign(
+    { purpose: VERIFY_PURPOSE, id: user._id.toString(), email: user.email },
+    verifySecret(),
+    { expiresIn: VERIFY_LINK_TTL, audience: VERIFY_PURPOSE }
+  );
+
+  await mailService.sendMail({
+    to: user.email,
+    subject: 'Confirm your email address',
+    text: `Confirm your email address to finish setting up your account:\n${mailService.frontendLink('/verify-email', { token })}`,
+  });
+};
+
+// Mark the account's email verified. The token must be for the account's
+// current address. Resolves to the user.
+const verifyEmail = async (token) => {
+  let payload;
+  try {
+    payload = jwt.verify(String(token || ''), verifySecret(), { audience: VERIFY_PURPOSE });
+  } catch (error) {
+    throw new ApiError(400, 'This verification link is invalid or has expired');
+  }
+
+  const user = await User.findById(payload.id);
+  if (!user || payload.purpose !== VERIFY_PURPOSE || user.email !== payload.email) {
+    throw new ApiError(400, 'This verification link is invalid or has expired');
+  }
+
+  if (!user.emailVerified) {
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+    console.log(`✅ Email verified for ${user.email}`);
+  }
+
+  return user;
+};
+
+module.exports = {
+  sendVerification,
+  verifyEmail,
+};
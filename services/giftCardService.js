@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const GiftCard = require('../models/GiftCard');
+const ApiError = require('../utils/ApiError');
+const { roundMoney } = require('../utils/money');
+const currencyService = require('./currencyService');
+
+const MIN_AMOUNT = Number(process.env.GIFT_CARD_MIN_AMOUNT ?? 5);
+const MAX_AMOUNT = Number(process.env.GIFT_CARD_MAX_AMOUNT ?? 1000);
+// Days a new card stays valid; unset means cards don't expire
+const VALID_DAYS = process.env.GIFT_CARD_VALID_DAYS ? Number(process.env.GIFT_CARD_VALID_DAYS) : null;
+
+// Balances are stored as floats, so allow for sub-cent drift when comparing
+const BALANCE_TOLERANCE = 0.005;
+
+// No 0/O or 1/I, so codes survive being read aloud or retyped
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+// XXXX-XXXX-XXXX-XXXX
+const generateCode = () => {
+  const chars = Array.from(crypto.randomBytes(16), byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]);
+  return chars.join('').match(/.{4}/g).join('-');
+};
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+// Full codes are only shown to whoever bought or was issued the card
+const maskCode = (code) => `****-${String(code).slice(-4)}`;
+
+const isExpired = (card, now = new Date()) => Boolean(card.expiresAt && card.expiresAt <= now);
+
+// Create a card with a fresh code. Throws a 400 for amounts outside the limits.
+const issueGiftCard = async ({
+  amount,
+  currency,
+  expiresAt,
+  recipientEmail,
+  message,
+  issuedBy,
+  purchasedBy,
+  purchasePaymentIntentId,
+}) => {
+  const value = roundMoney(Number(amount));
+  if (!Number.isFinite(value) || value < MIN_AMOUNT || value > MAX_AMOUNT) {
+    throw new ApiError(400, `Gift card amount must be between ${MIN_AMOUNT} and ${MAX_AMOUNT}`);
+  }
+
+  const defaultExpiry = VALID_DAYS ? new Date(Date.now() + VALID_DAYS * 24 * 60 * 60 * 1000) : null;
+
+  // A clash on a random 16-character code is very unlikely, but retry anyway
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await GiftCard.create({
+        code: generateCode(),
+        currency: currencyService.normalizeCurrency(currency),
+        initialBalance: value,
+        balance: value,
+        expiresAt: expiresAt === undefined ? defaultExpiry : expiresAt,
+        recipientEmail,
+        message,
+        issuedBy,
+        purchasedBy,
+        purchasePaymentIntentId,
+      });
+    } catch (error) {
+      if (error.code !== 11000 || error.keyPattern?.code !== 1 || attempt >= 2) throw error;
+    }
+  }
+};
+
+// Look up a card that can pay for an order in `currency`
+const findUsableCard = async (code, currency) => {
+  const card = await GiftCard.findOne({ code: normalizeCode(code) });
+
+  if (!card) {
+    throw new ApiError(404, 'Gift card not found');
+  }
+  if (!card.isActive) {
+    throw new ApiError(400, 'This gift card has been deactivated');
+  }
+  if (isExpired(card)) {
+    throw new ApiError(400, 'This gift card has expired');
+  }
+  if (card.currency !== currency) {
+    throw new ApiError(400, `This gift card can only be used for orders in ${card.currency}`);
+  }
+  if (roundMoney(card.balance) <= 0) {
+    throw new ApiError(400, 'This gift card has no balance left');
+  }
+
+  return card;
+};
+
+// Atomically take `amount` off a card. Fails if the card was used up,
+// deactivated or expired since it was checked.
+const debitCard = async (cardId, amount, { order, orderNumber, createdBy } = {}) => {
+  const now = new Date();
+  const card = await GiftCard.findOneAndUpdate(
+    {
+      _id: cardId,
+      isActive: true,
+      balance: { $gte: amount - BALANCE_TOLERANCE },
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }],
+    },
+    {
+      $inc: { balance: -amount },
+      $push: { transactions: { type: 'redeem', amount: -amount, order, orderNumber, createdBy } },
+    },
+    { new: true }
+  );
+
+  if (!card) {
+    throw new ApiError(400, 'A gift card balance has changed. Please review your payment.');
+  }
+
+  return card;
+};
+
+// Put money back on a card (refunds, failed checkouts). This works on expired
+// or deactivated cards too - the money belongs to the customer.
+const creditCard = async (cardId, amount, { type = 'refund', order, orderNumber, note, createdBy } = {}) => {
+  return GiftCard.findByIdAndUpdate(
+    cardId,
+    {
+      $inc: { balance: amount },
+      $push: { transactions: { type, amount, order, orderNumber, note, createdBy } },
+    },
+    { new: true }
+  );
+};
+
+// Admin correction by a signed amount; can't take the balance below zero
+const adjustCard = async (cardId, amount, { note, createdBy } = {}) => {
+  const value = roundMoney(Number(amount));
+  if (!Number.isFinite(value) || value === 0) {
+    throw new ApiError(400, 'Please provide a non-zero amount');
+  }
+
+  const filter = { _id: cardId };
+  if (value < 0) filter.balance = { $gte: -value - BALANCE_TOLERANCE };
+
+  const card = await GiftCard.findOneAndUpdate(
+    filter,
+    {
+      $inc: { balance: value },
+      $push: { transactions: { type: 'adjust', amount: value, note, createdBy } },
+    },
+    { new: true }
+  );
+
+  if (!card) {
+    const exists = await GiftCard.exists({ _id: cardId });
+    throw exists
+      ? new ApiError(400, 'Adjustment would take the balance below zero')
+      : new ApiError(404, 'Gift card not found');
+  }
+
+  return card;
+};
+
+// What a customer sees when checking a balance
+const toPublicSummary = (card) => ({
+  code: maskCode(card.code),
+  currency: card.currency,
+  balance: roundMoney(card.balance),
+  expiresAt: card.expiresAt,
+  isActive: card.isActive && !isExpired(card),
+});
+
+module.exports = {
+  MIN_AMOUNT,
+  MAX_AMOUNT,
+  normalizeCode,
+  maskCode,
+  issueGiftCard,
+  findUsableCard,
+  debitCard,
+  creditCard,
+  adjustCard,
+  toPublicSummary,
+};
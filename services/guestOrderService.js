@@ -0,0 +1,140 @@
+const jwt = require('jsonwebtoken');
+const Order = require('../models/Order');
+const ApiError = require('../utils/ApiError');
+const escapeRegex = require('../utils/escapeRegex');
+const mailService = require('./mailService');
+
+// How long a signed order link stays valid
+const ORDER_LINK_TTL = process.env.ORDER_LINK_TTL || '90d';
+const LOOKUP_PURPOSE = 'order-lookup';
+
+// Order links are signed apart from login tokens (their own secret and
+// audience) so a link can never pass as a login
+const lookupSecret = () => process.env.ORDER_LINK_SECRET || `${process.env.JWT_SECRET}:${LOOKUP_PURPOSE}`;
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+// Signed token for a "view your order" link. It is only ever sent by email
+// (see sendOrderLink), so holding it proves the holder receives mail at the
+// order's address - which is what lets an account claim that address's
+// guest orders. Never return it in an HTTP response.
+const createLookupToken = (order) => {
+  return jwt.sign(
+    {
+      purpose: LOOKUP_PURPOSE,
+      orderNumber: order.orderNumber,
+      email: normalizeEmail(order.shippingInfo.email),
+    },
+    lookupSecret(),
+    { expiresIn: ORDER_LINK_TTL, audience: LOOKUP_PURPOSE }
+  );
+};
+
+// Email the "view your order" link to the order's shipping address
+const sendOrderLink = async (order) => {
+  const link = mailService.frontendLink(`/orders/${order.orderNumber}`, { token: createLookupToken(order) });
+
+  await mailService.sendMail({
+    to: normalizeEmail(order.shippingInfo.email),
+    subject: `Your order ${order.orderNumber}`,
+    text: `Thanks for your order. View it any time at:\n${link}`,
+  });
+};
+
+// Decode a lookup token, or null if it's invalid/expired/not a lookup token
+const verifyLookupToken = (token) => {
+  try {
+    const payload = jwt.verify(token, lookupSecret(), { audience: LOOKUP_PURPOSE });
+    return payload.purpose === LOOKUP_PURPOSE ? payload : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Whether the request may see this order: signed link, matching shipping
+// email, the owner's account, or an admin
+const canViewOrder = (order, { token, email, userId, isAdmin }) => {
+  if (isAdmin) return true;
+  if (userId && order.user && order.user.toString() === String(userId)) return true;
+
+  if (token) {
+    const payload = verifyLookupToken(token);
+    if (payload && payload.orderNumber === order.orderNumber) return true;
+  }
+
+  if (email && normalizeEmail(email) === normalizeEmail(order.shippingInfo.email)) return true;
+
+  return false;
+};
+
+const guestOrderFilter = (email) => ({
+  user: null,
+  'shippingInfo.email': { $regex: `^${escapeRegex(email)}$`, $options: 'i' },
+});
+
+const assertEmailVerified = (user) => {
+  if (!user.emailVerified) {
+    throw new ApiError(403, 'Please verify your email address first');
+  }
+};
+
+// Guest orders placed with the account's (verified) email that it could
+// claim. Only a summary is returned - order numbers are part of the claim proof.
+const findClaimableOrders = async (user) => {
+  assertEmailVerified(user);
+
+  const orders = await Order.find(guestOrderFilter(normalizeEmail(user.email)))
+    .sort({ createdAt: -1 })
+    .select('createdAt pricing.total currency orderStatus');
+
+  return orders.map(order => ({
+    placedAt: order.createdAt,
+    total: order.pricing.total,
+    currency: order.currency,
+    orderStatus: order.orderStatus,
+  }));
+};
+
+// Attach guest orders to `user`. Orders must have been placed with the
+// account's email, and the user must prove it by either:
+//   - a signed order link mailed to that email (claims every guest order for it), or
+//   - the order numbers themselves, on an account with a verified email
+//     (claims just those orders)
+const claimOrders = async (user, { token, orderNumbers }) => {
+  const email = normalizeEmail(user.email);
+  const filter = guestOrderFilter(email);
+
+  if (token) {
+    const payload = verifyLookupToken(token);
+
+    if (!payload || payload.email !== email) {
+      throw new ApiError(400, 'This link is invalid or was not sent to your account email');
+    }
+  } else if (Array.isArray(orderNumbers) && orderNumbers.length > 0) {
+    assertEmailVerified(user);
+    filter.orderNumber = { $in: orderNumbers.map(String) };
+  } else {
+    throw new ApiError(400, 'Please provide an order link or order numbers to claim');
+  }
+
+  const orders = await Order.find(filter).select('_id orderNumber');
+  if (orders.length === 0) {
+    return [];
+  }
+
+  await Order.updateMany(
+    { _id: { $in: orders.map(o => o._id) }, user: null },
+    { user: user._id }
+  );
+
+  console.log(`🔗 ${orders.length} guest order(s) attached to ${email}`);
+
+  return orders.map(o => o.orderNumber);
+};
+
+module.exports = {
+  sendOrderLink,
+  canViewOrder,
+  findClaimableOrders,
+  claimOrders,
+};
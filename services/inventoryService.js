@@ -0,0 +1,141 @@
+const Product = require('../models/product');
+const Order = require('../models/Order');
+const ApiError = require('../utils/ApiError');
+const variantService = require('./variantService');
+
+// Atomically take `quantity` units of one variant (or one size, for products
+// without variants). The update only matches when enough stock is left, so
+// two concurrent buyers can never oversell.
+const decrementStock = async ({ product, variant, size }, quantity) => {
+  const result = variant
+    ? await Product.updateOne(
+      {
+        _id: product,
+        variants: { $elemMatch: { _id: variant, stock: { $gte: quantity } } },
+      },
+      { $inc: { 'variants.$.stock': -quantity } }
+    )
+    : await Product.updateOne(
+      {
+        _id: product,
+        sizes: { $elemMatch: { size, stock: { $gte: quantity } } },
+      },
+      { $inc: { 'sizes.$.stock': -quantity } }
+    );
+
+  return result.modifiedCount === 1;
+};
+
+// Put units back for one variant or size
+const incrementStock = async ({ product, variant, size }, quantity) => {
+  const result = variant
+    ? await Product.updateOne(
+      { _id: product, 'variants._id': variant },
+      { $inc: { 'variants.$.stock': quantity } }
+    )
+    : await Product.updateOne(
+      { _id: product, 'sizes.size': size },
+      { $inc: { 'sizes.$.stock': quantity } }
+    );
+
+  return result.modifiedCount === 1;
+};
+
+// Return stock for every item (order cancelled or reservation rolled back)
+const releaseStock = async (items) => {
+  for (const item of items) {
+    const restored = await incrementStock(item, item.quantity);
+
+    if (restored) {
+      console.log(`✅ Stock restored: ${item.name || item.product} (${variantService.describe(item)}) +${item.quantity} units`);
+    }
+  }
+};
+
+// Reserve stock for every item or none of them. If any item can't be reserved,
+// the items already taken are released again before the error is thrown.
+const reserveStock = async (items) => {
+  const reserved = [];
+
+  try {
+    for (const item of items) {
+      const ok = await decrementStock(item, item.quantity);
+
+      if (!ok) {
+        const product = await Product.findById(item.product).select('name sizes variants');
+        const label = variantService.describe(item);
+
+        if (!product) {
+          throw new ApiError(404, `Product ${item.name} not found`);
+        }
+
+        const entry = item.variant
+          ? product.variants.id(item.variant)
+          : product.sizes.find(s => s.size === item.size);
+        if (!entry) {
+          throw new ApiError(400, `${label} not available for ${product.name}`);
+        }
+        throw new ApiError(400, `Insufficient stock for ${product.name} (${label}). Only ${entry.stock} left.`);
+      }
+
+      reserved.push(item);
+      console.log(`Stock reserved for ${item.name} (${variantService.describe(item)}): -${item.quantity}`);
+    }
+  } catch (error) {
+    await releaseStock(reserved);
+    throw error;
+  }
+
+  return reserved;
+};
+
+// Keep each product's soldCount in step with orders: `sign` 1 when units are
+// ordered, -1 when they are cancelled. Only feeds sorting, so failures are
+// logged rather than thrown.
+const recordSales = async (items, sign = 1) => {
+  const units = new Map();
+  items.forEach((item) => {
+    const id = item.product.toString();
+    units.set(id, (units.get(id) || 0) + item.quantity * sign);
+  });
+
+  try {
+    await Promise.all([...units]
+      .filter(([, quantity]) => quantity !== 0)
+      .map(([id, quantity]) => Product.updateOne({ _id: id }, { $inc: { soldCount: quantity } })));
+  } catch (error) {
+    console.error('Could not update product sales counts:', error.message);
+  }
+};
+
+// Recount soldCount for every product from the orders (ordered units less
+// cancelled ones). Resolves to the number of products with sales.
+const recalculateSoldCounts = async () => {
+  const totals = await Order.aggregate([
+    { $unwind: '$items' },
+    {
+      $group: {
+        _id: '$items.product',
+        sold: { $sum: { $subtract: ['$items.quantity', { $ifNull: ['$items.cancelledQuantity', 0] }] } },
+      },
+    },
+  ]);
+
+  await Product.updateMany({}, { soldCount: 0 });
+  if (totals.length > 0) {
+    await Product.bulkWrite(totals.map(({ _id, sold }) => ({
+      updateOne: { filter: { _id }, update: { soldCount: Math.max(sold, 0) } },
+    })));
+  }
+
+  console.log(`📈 Sales counts recalculated for ${totals.length} products`);
+
+  return totals.length;
+};
+
+module.exports = {
+  reserveStock,
+  releaseStock,
+  recordSales,
+  recalculateSoldCounts,
+};
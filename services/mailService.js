@@ -0,0 +1,65 @@
+// Outgoing email. MAIL_PROVIDER picks how messages leave:
+//   webhook - POST { to, subject, text } as JSON to MAIL_WEBHOOK_URL (with
+//             MAIL_WEBHOOK_TOKEN as a bearer token), for a mail relay/ESP
+//   log     - print the message (the default; development only - in
+//             production only the recipient and subject are logged)
+// Messages carry sign-in-grade links, so they are never returned to the
+// HTTP client that triggered them.
+const getProviderName = () => (process.env.MAIL_PROVIDER || 'log').toLowerCase();
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+const sendWithWebhook = async (message) => {
+  if (!process.env.MAIL_WEBHOOK_URL) {
+    throw new Error('MAIL_WEBHOOK_URL must be set to send mail by webhook');
+  }
+
+  const response = await fetch(process.env.MAIL_WEBHOOK_URL, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(process.env.MAIL_WEBHOOK_TOKEN && { Authorization: `Bearer ${process.env.MAIL_WEBHOOK_TOKEN}` }),
+    },
+    body: JSON.stringify(message),
+  });
+
+  if (!response.ok) {
+    throw new Error(`Mail webhook answered ${response.status}`);
+  }
+};
+
+const sendWithLog = async ({ to, subject, text }) => {
+  if (process.env.NODE_ENV === 'production') {
+    console.warn(`✉️  Mail to ${to} not sent (no MAIL_PROVIDER configured): ${subject}`);
+    return;
+  }
+  console.log(`✉️  Mail to ${to}: ${subject}\n${text}`);
+};
+
+// Send one message. Never throws - a failed email must not fail the request
+// that caused it; the failure is logged instead.
+const sendMail = async ({ to, subject, text }) => {
+  try {
+    if (getProviderName() === 'webhook') {
+      await sendWithWebhook({ to, subject, text });
+    } else {
+      await sendWithLog({ to, subject, text });
+    }
+    return true;
+  } catch (error) {
+    console.error(`❌ Could not send "${subject}" to ${to}:`, error.message);
+    return false;
+  }
+};
+
+// Absolute link into the storefront
+const frontendLink = (path, params = {}) => {
+  const url = new URL(path, FRONTEND_URL);
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+};
+
+module.exports = {
+  sendMail,
+  frontendLink,
+};
@@ -0,0 +1,54 @@
+const { escapeCsv } = require('../utils/csv');
+const { streamResponse } = require('../utils/stream');
+
+// Columns in the accounting export, in order
+const EXPORT_COLUMNS = [
+  ['orderNumber', order => order.orderNumber],
+  ['createdAt', order => order.createdAt.toISOString()],
+  ['orderStatus', order => order.orderStatus],
+  ['paymentStatus', order => order.paymentInfo?.paymentStatus],
+  ['customerEmail', order => order.shippingInfo?.email],
+  ['customerName', order => `${order.shippingInfo?.firstName || ''} ${order.shippingInfo?.lastName || ''}`.trim()],
+  ['country', order => order.shippingInfo?.country],
+  ['state', order => order.shippingInfo?.state],
+  ['itemCount', order => order.items.reduce((sum, item) => sum + item.quantity, 0)],
+  ['currency', order => order.currency || 'USD'],
+  ['subtotal', order => order.pricing?.subtotal],
+  ['discount', order => order.pricing?.discount || 0],
+  ['shipping', order => order.pricing?.shipping],
+  ['tax', order => order.pricing?.tax],
+  ['total', order => order.pricing?.total],
+  ['amountRefunded', order => order.paymentInfo?.amountRefunded || 0],
+  ['couponCode', order => order.pricing?.coupon?.code || ''],
+  ['stripePaymentIntentId', order => order.paymentInfo?.stripePaymentIntentId || ''],
+];
+
+const toRow = (order) => Object.fromEntries(EXPORT_COLUMNS.map(([name, get]) => [name, get(order)]));
+
+// Stream orders from a Mongoose cursor as CSV or a JSON array, one document
+// at a time so large exports never sit in memory
+const streamOrders = (cursor, format, res) => streamResponse(res, cursor, async (write) => {
+  if (format === 'csv') {
+    await write(`${EXPORT_COLUMNS.map(([name]) => name).join(',')}\n`);
+
+    for await (const order of cursor) {
+      const row = toRow(order);
+      await write(`${EXPORT_COLUMNS.map(([name]) => escapeCsv(row[name])).join(',')}\n`);
+    }
+  } else {
+    await write('[');
+    let first = true;
+
+    for await (const order of cursor) {
+      await write(`${first ? '' : ','}\n${JSON.stringify(toRow(order))}`);
+      first = false;
+    }
+
+    await write('\n]\n');
+  }
+});
+
+module.exports = {
+  EXPORT_COLUMNS,
+  streamOrders,
+};
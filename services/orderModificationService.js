@@ -0,0 +1,465 @@
+const Product = require('../models/product');
+const Coupon = require('../models/Coupon');
+const Order = require('../models/Order');
+const ApiError = require('../utils/ApiError');
+const { roundMoney, toStripeAmount } = require('../utils/money');
+const inventoryService = require('./inventoryService');
+const variantService = require('./variantService');
+const refundService = require('./refundService');
+const couponService = require('./couponService');
+const taxService = require('./taxService');
+const shippingService = require('./shippingService');
+const { getPaymentProvider } = require('./payments');
+
+// Payment states in which the order total can still be adjusted
+const MODIFIABLE_PAYMENT_STATUSES = ['pending', 'paid', 'partially_refunded'];
+
+// Address fields a customer may change. The email stays: it is what guest
+// order links and claiming are tied to.
+const ADDRESS_FIELDS = ['firstName', 'lastName', 'phone', 'address', 'city', 'state', 'zipCode', 'country'];
+
+// Changing any of these can change the shipping zone and tax
+const DESTINATION_FIELDS = ['country', 'state', 'zipCode'];
+
+const remainingQuantity = (item) => item.quantity - (item.cancelledQuantity || 0);
+
+// Orders can be changed until the warehouse starts shipping them
+const assertModifiable = (order) => {
+  if (order.orderStatus !== 'processing' || order.shipments.length > 0) {
+    throw new ApiError(400, 'Only orders that have not started shipping can be changed. Please contact support for assistance.');
+  }
+
+  if (!MODIFIABLE_PAYMENT_STATUSES.includes(order.paymentInfo.paymentStatus)) {
+    throw new ApiError(400, `Orders with a ${order.paymentInfo.paymentStatus} payment cannot be changed`);
+  }
+};
+
+// Check a line can move to `newSize`. Variant lines move to the same colorway
+// and width in the new size, which has to cost the same - the line keeps the
+// price charged at checkout. Resolves to the new variant (null without variants).
+const resolveSizeChange = (product, item, newSize) => {
+  if (!product) {
+    throw new ApiError(400, `Size ${newSize} not available for ${item.name}`);
+  }
+
+  if (!item.variant) {
+    if (!product.sizes.some(s => s.size === newSize)) {
+      throw new ApiError(400, `Size ${newSize} not available for ${item.name}`);
+    }
+    return null;
+  }
+
+  const current = product.variants.id(item.variant);
+  const variant = current && variantService.findSibling(product, current, newSize);
+  if (!variant) {
+    throw new ApiError(400, `${variantService.describe({ ...item.toObject(), size: newSize })} not available for ${item.name}`);
+  }
+
+  const basePrice = v => (v.price !== undefined && v.price !== null ? v.price : product.price);
+  if (basePrice(variant) !== basePrice(current)) {
+    throw new ApiError(400, `Size ${newSize} of ${item.name} has a different price. Please cancel this item and order the new size instead.`);
+  }
+
+  return variant;
+};
+
+// Validate `[{ itemId, size, quantity }]` against the order and the products.
+// Quantities are the units wanted from now on (cancelled units not included);
+// removing a line is done through cancellation instead.
+const resolveItemChanges = (order, items, productMap) => {
+  const seen = new Set();
+
+  return items.map(({ itemId, size, quantity }) => {
+    const item = order.items.id(itemId);
+
+    if (!item) {
+      throw new ApiError(404, `Item ${itemId} not found in this order`);
+    }
+    if (seen.has(item._id.toString())) {
+      throw new ApiError(400, `${item.name} is listed more than once`);
+    }
+    seen.add(item._id.toString());
+
+    const current = remainingQuantity(item);
+    if (current === 0) {
+      throw new ApiError(400, `${item.name} has been cancelled and cannot be changed`);
+    }
+
+    const newQuantity = quantity === undefined ? current : Number(quantity);
+    if (!Number.isInteger(newQuantity) || newQuantity < 1) {
+      throw new ApiError(400, `Invalid quantity for ${item.name}. To remove it, cancel the item instead.`);
+    }
+
+    const newSize = size === undefined ? item.size : Number(size);
+    const product = productMap.get(item.product.toString());
+    const newVariant = newSize === item.size ? null : resolveSizeChange(product, item, newSize);
+
+    return { item, current, newSize, newVariant, newQuantity };
+  }).filter(change => change.newSize !== change.item.size || change.newQuantity !== change.current);
+};
+
+// Stock to take and give back for the item changes. A size change moves every
+// remaining unit from the old size to the new one.
+const planStock = (itemChanges) => {
+  const reserve = [];
+  const release = [];
+
+  itemChanges.forEach(({ item, current, newSize, newVariant, newQuantity }) => {
+    const line = { product: item.product, variant: item.variant, name: item.name, color: item.color, width: item.width };
+
+    if (newSize !== item.size) {
+      release.push({ ...line, size: item.size, quantity: current });
+      reserve.push({ ...line, variant: newVariant?._id, size: newSize, quantity: newQuantity });
+    } else if (newQuantity > current) {
+      reserve.push({ ...line, size: item.size, quantity: newQuantity - current });
+    } else {
+      release.push({ ...line, size: item.size, quantity: current - newQuantity });
+    }
+  });
+
+  return { reserve, release };
+};
+
+// Re-run discount, shipping and tax for the changed order. Prices stay as
+// charged at checkout (same currency and rate). Cancelled units stay in the
+// quantities, as they do at checkout - they are accounted for by refunds.
+const repriceOrder = async (order, lineItems, shippingInfo) => {
+  const rate = order.exchangeRate || 1;
+  const subtotal = roundMoney(lineItems.reduce((sum, item) => sum + item.price * item.quantity, 0));
+
+  let discount = 0;
+  let freeShipping = false;
+  const applied = order.pricing.coupon;
+  if (applied?.code) {
+    const coupon = applied.couponId && await Coupon.findById(applied.couponId);
+
+    if (coupon) {
+      ({ discount, freeShipping } = couponService.calculateDiscount(coupon, lineItems, subtotal, rate));
+    } else {
+      // Coupon was deleted since checkout - keep what it gave
+      discount = Math.min(order.pricing.discount, subtotal);
+      freeShipping = Boolean(applied.freeShipping);
+    }
+  }
+
+  const method = await shippingService.resolveMethod(
+    order.shippingMethod?.code,
+    lineItems,
+    shippingInfo,
+    subtotal,
+    rate
+  );
+  const shipping = freeShipping ? 0 : method.cost;
+  const tax = await taxService.calculateTax(lineItems, shippingInfo, discount);
+
+  return {
+    pricing: {
+      subtotal,
+      discount,
+      shipping,
+      tax,
+      total: roundMoney(subtotal - discount + shipping + tax),
+    },
+    method,
+  };
+};
+
+// Work out everything a modification would do without changing anything:
+// the change log entries, stock moves, new pricing and the amount to charge
+// (positive) or refund (negative).
+const planModification = async (order, { items = [], shippingInfo } = {}) => {
+  if (!Array.isArray(items)) {
+    throw new ApiError(400, 'Items must be a list of { itemId, size, quantity }');
+  }
+
+  const products = await Product.find({ _id: { $in: order.items.map(item => item.product) } })
+    .select('name price sizes variants category brand weight');
+  const productMap = new Map(products.map(p => [p._id.toString(), p]));
+
+  const itemChanges = resolveItemChanges(order, items, productMap);
+  const changes = [];
+
+  itemChanges.forEach(({ item, current, newSize, newQuantity }) => {
+    if (newSize !== item.size) {
+      changes.push({ field: 'size', itemId: item._id, from: item.size, to: newSize });
+    }
+    if (newQuantity !== current) {
+      changes.push({ field: 'quantity', itemId: item._id, from: current, to: newQuantity });
+    }
+  });
+
+  const currentAddress = order.shippingInfo.toObject ? order.shippingInfo.toObject() : order.shippingInfo;
+  const newAddress = { ...currentAddress };
+  if (shippingInfo) {
+    const from = {};
+    const to = {};
+
+    ADDRESS_FIELDS.forEach((field) => {
+      if (shippingInfo[field] === undefined) return;
+
+      const value = String(shippingInfo[field]).trim();
+      if (!value) {
+        throw new ApiError(400, `Shipping ${field} cannot be empty`);
+      }
+      if (value !== currentAddress[field]) {
+        from[field] = currentAddress[field];
+        to[field] = value;
+        newAddress[field] = value;
+      }
+    });
+
+    if (Object.keys(to).length > 0) {
+      changes.push({ field: 'shippingInfo', from, to });
+    }
+  }
+
+  if (changes.length === 0) {
+    throw new ApiError(400, 'No changes requested');
+  }
+
+  const changeByItem = new Map(itemChanges.map(change => [change.item._id.toString(), change]));
+  const lineItems = order.items.map((item) => {
+    const change = changeByItem.get(item._id.toString());
+    const product = productMap.get(item.product.toString());
+
+    return {
+      itemId: item._id,
+      price: item.price,
+      variant: change?.newVariant || null,
+      size: change ? change.newSize : item.size,
+      quantity: change ? (item.cancelledQuantity || 0) + change.newQuantity : item.quantity,
+      category: product?.category,
+      brand: product?.brand,
+      weight: product?.weight,
+    };
+  });
+
+  // A size swap or a new name/street leaves the totals alone; only quantity
+  // and destination changes are re-priced
+  const quantityChanged = changes.some(change => change.field === 'quantity');
+  const destinationChanged = DESTINATION_FIELDS.some(field => newAddress[field] !== currentAddress[field]);
+
+  let pricing = order.pricing.toObject ? order.pricing.toObject() : { ...order.pricing };
+  let method = null;
+  if (quantityChanged || destinationChanged) {
+    const repriced = await repriceOrder(order, lineItems, newAddress);
+    pricing = { ...pricing, ...repriced.pricing };
+    method = repriced.method;
+  }
+
+  return {
+    changes,
+    lineItems,
+    shippingInfo: newAddress,
+    stock: planStock(itemChanges),
+    pricing,
+    method,
+    repriced: Boolean(method),
+    amountDifference: roundMoney(pricing.total - order.pricing.total),
+  };
+};
+
+// Extra payment is taken as its own PaymentIntent, tagged with the order
+const createChargeIntent = async (order, amount) => {
+  const intent = await getPaymentProvider(order.paymentInfo.provider).createIntent({
+    amount: toStripeAmount(amount),
+    currency: order.currency.toLowerCase(),
+    metadata: {
+      orderNumber: order.orderNumber,
+      purpose: 'order_modification',
+    },
+    // Asking again for the same change returns the same PaymentIntent
+    idempotencyKey: `modify-${order._id}-${order.modifications.length}-${toStripeAmount(amount)}`,
+  });
+
+  return intent;
+};
+
+// Check that `paymentIntentId` paid exactly `amount` for this order and has
+// not been used for another change
+const verifyChargeIntent = async (order, paymentIntentId, amount) => {
+  const provider = getPaymentProvider(order.paymentInfo.provider);
+  const intent = await provider.retrieveIntent(paymentIntentId);
+
+  if (intent.metadata?.orderNumber !== order.orderNumber || intent.metadata?.purpose !== 'order_modification') {
+    throw new ApiError(400, 'This payment was not made for a change to this order');
+  }
+
+  const alreadyUsed = paymentIntentId === order.paymentInfo.stripePaymentIntentId
+    || await Order.exists({ 'paymentInfo.additionalCharges.paymentIntentId': paymentIntentId });
+  if (alreadyUsed) {
+    throw new ApiError(409, 'This payment has already been applied');
+  }
+
+  if (intent.status !== 'succeeded') {
+    throw new ApiError(400, `Payment for this change has not completed (status: ${intent.status})`);
+  }
+
+  if (intent.amount !== toStripeAmount(amount)) {
+    // Totals moved between paying and applying (e.g. rates changed) - give
+    // the money back so the customer can pay the new amount
+    await provider.refund({
+      paymentIntentId,
+      metadata: { orderNumber: order.orderNumber, reason: 'Order change amount mismatch' },
+      idempotencyKey: `modify-refund-${paymentIntentId}`,
+    });
+    throw new ApiError(409, 'The amount due for this change has changed. Your payment has been refunded; please try again.', {
+      amountDue: amount,
+    });
+  }
+};
+
+// Refund an extra charge when the change can't be applied after all
+const refundChargeIntent = async (order, paymentIntentId) => {
+  try {
+    await getPaymentProvider(order.paymentInfo.provider).refund({
+      paymentIntentId,
+      metadata: { orderNumber: order.orderNumber, reason: 'Order change could not be applied' },
+      idempotencyKey: `modify-refund-${paymentIntentId}`,
+    });
+  } catch (error) {
+    console.error(`❌ Could not refund change payment ${paymentIntentId} for order ${order.orderNumber}:`, error.message);
+  }
+};
+
+// Optimistic lock: move the stored order on from the version that was loaded,
+// so only one of two concurrent changes gets to touch stock and money
+const claimOrderVersion = async (order) => {
+  const claimed = await Order.updateOne({ _id: order._id, __v: order.__v }, { $inc: { __v: 1 } });
+
+  if (claimed.modifiedCount === 0) {
+    throw new ApiError(409, 'This order was changed by another request. Please reload it and try again.');
+  }
+
+  // Keep the loaded copy in step so its own save still passes the version check
+  order.set('__v', order.__v + 1);
+  order.unmarkModified('__v');
+};
+
+// Change item sizes/quantities and/or the shipping address of an order that
+// hasn't shipped. Stock moves atomically (all or nothing) and the total is
+// re-priced:
+//   - lower total: the difference is refunded right away
+//   - higher total: the first call returns { requiresPayment, paymentIntentId,
+//     clientSecret, amountDue } without changing anything; once the customer
+//     has paid, the same call with `paymentIntentId` applies the change
+// Every applied change is logged in `order.modifications`.
+const modifyOrder = async (order, { items, shippingInfo, paymentIntentId, changedBy, changedByRole = 'customer' }) => {
+  assertModifiable(order);
+
+  const plan = await planModification(order, { items, shippingInfo });
+  const difference = plan.amountDifference;
+
+  if (difference > 0) {
+    if (!paymentIntentId) {
+      const intent = await createChargeIntent(order, difference);
+
+      return {
+        order,
+        requiresPayment: true,
+        amountDue: difference,
+        paymentIntentId: intent.id,
+        clientSecret: intent.clientSecret,
+        pricing: plan.pricing,
+        changes: plan.changes,
+      };
+    }
+
+    await verifyChargeIntent(order, paymentIntentId, difference);
+  }
+
+  if (difference < 0 && order.paymentInfo.paymentStatus === 'pending') {
+    throw new ApiError(400, 'This change lowers the order total and can be made once your payment has gone through');
+  }
+
+  await claimOrderVersion(order);
+
+  try {
+    await inventoryService.reserveStock(plan.stock.reserve);
+  } catch (error) {
+    if (difference > 0) await refundChargeIntent(order, paymentIntentId);
+    throw error;
+  }
+
+  // Pin down what was charged before the total changes (older orders don't store it)
+  order.paymentInfo.amountCharged = refundService.getAmountCharged(order);
+
+  let refund = null;
+  if (difference < 0) {
+    try {
+      refund = await refundService.refundOrder(order, {
+        amount: -difference,
+        reason: 'Order modified',
+        initiatedBy: changedBy,
+      });
+    } catch (error) {
+      await inventoryService.releaseStock(plan.stock.reserve);
+      throw error;
+    }
+  }
+
+  await inventoryService.releaseStock(plan.stock.release);
+  await inventoryService.recordSales(plan.stock.reserve);
+  await inventoryService.recordSales(plan.stock.release, -1);
+
+  plan.lineItems.forEach((line) => {
+    const item = order.items.id(line.itemId);
+    item.size = line.size;
+    if (line.variant) {
+      item.variant = line.variant._id;
+      item.sku = line.variant.sku;
+    }
+    item.quantity = line.quantity;
+    if (plan.repriced) {
+      item.tax = line.tax;
+      item.taxBreakdown = line.taxBreakdown;
+    }
+  });
+
+  ADDRESS_FIELDS.forEach((field) => {
+    order.shippingInfo[field] = plan.shippingInfo[field];
+  });
+
+  const previousTotal = order.pricing.total;
+  if (plan.repriced) {
+    ['subtotal', 'discount', 'shipping', 'tax', 'total'].forEach((field) => {
+      order.pricing[field] = plan.pricing[field];
+    });
+    if (order.pricing.coupon?.code) {
+      order.pricing.coupon.discount = plan.pricing.discount;
+    }
+    order.shippingMethod.zone = plan.method.zone;
+    order.shippingMethod.cost = plan.pricing.shipping;
+  }
+
+  if (difference > 0) {
+    order.paymentInfo.additionalCharges.push({ paymentIntentId, amount: difference });
+    order.paymentInfo.amountCharged = roundMoney(order.paymentInfo.amountCharged + difference);
+  }
+
+  order.modifications.push({
+    changes: plan.changes,
+    previousTotal,
+    newTotal: order.pricing.total,
+    amountDifference: difference,
+    paymentIntentId: difference > 0 ? paymentIntentId : undefined,
+    refundId: refund?._id,
+    changedBy,
+    changedByRole,
+  });
+
+  await order.save();
+
+  console.log(`✏️  Order ${order.orderNumber} modified (${plan.changes.map(c => c.field).join(', ')}), difference ${difference.toFixed(2)}`);
+
+  return {
+    order,
+    requiresPayment: false,
+    modification: order.modifications[order.modifications.length - 1],
+    refund,
+  };
+};
+
+module.exports = {
+  modifyOrder,
+};
@@ -0,0 +1,68 @@
+const User = require('../models/User');
+const ApiError = require('../utils/ApiError');
+
+const MAX_LENGTH = 2000;
+const VISIBILITIES = ['internal', 'customer'];
+
+// Customers only see the messages addressed to them, without staff account IDs
+const toCustomerMessage = (note) => ({
+  _id: note._id,
+  body: note.body,
+  authorName: note.authorName,
+  authorRole: note.authorRole,
+  createdAt: note.createdAt,
+});
+
+// The thread for an order loaded with '+notes', oldest first
+const listNotes = (order, { includeInternal = false } = {}) => {
+  const notes = order.notes || [];
+
+  if (includeInternal) {
+    return notes;
+  }
+
+  return notes.filter(note => note.visibility === 'customer').map(toCustomerMessage);
+};
+
+// Add an entry to the order's thread. Customers can only write messages
+// (visibility 'customer'); admins choose, defaulting to an internal note.
+// `order` must have been loaded with '+notes'. Resolves to the new entry.
+const addNote = async (order, { body, visibility, authorId, authorRole }) => {
+  const text = typeof body === 'string' ? body.trim() : '';
+  if (!text) {
+    throw new ApiError(400, 'Please provide a message');
+  }
+  if (text.length > MAX_LENGTH) {
+    throw new ApiError(400, `Messages can be at most ${MAX_LENGTH} characters`);
+  }
+
+  let noteVisibility = 'customer';
+  if (authorRole === 'admin') {
+    noteVisibility = visibility || 'internal';
+    if (!VISIBILITIES.includes(noteVisibility)) {
+      throw new ApiError(400, `Invalid visibility. Use one of: ${VISIBILITIES.join(', ')}`);
+    }
+  }
+
+  const author = await User.findById(authorId).select('name');
+
+  order.notes.push({
+    body: text,
+    visibility: noteVisibility,
+    author: authorId,
+    authorName: author?.name,
+    authorRole,
+  });
+  await order.save();
+
+  const note = order.notes[order.notes.length - 1];
+  console.log(`📝 ${noteVisibility === 'internal' ? 'Internal note' : 'Message'} added to order ${order.orderNumber} by ${authorRole}`);
+
+  return note;
+};
+
+module.exports = {
+  listNotes,
+  addNote,
+  toCustomerMessage,
+};
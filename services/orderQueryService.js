@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+const ApiError = require('../utils/ApiError');
+const escapeRegex = require('../utils/escapeRegex');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// ?sort= values the admin order list accepts
+const SORT_OPTIONS = {
+  newest: { createdAt: -1 },
+  oldest: { createdAt: 1 },
+  total_desc: { 'pricing.total': -1, createdAt: -1 },
+  total_asc: { 'pricing.total': 1, createdAt: -1 },
+  status: { orderStatus: 1, createdAt: -1 },
+};
+
+// Comma-separated query values become $in lists
+const toList = (value) => String(value).split(',').map(v => v.trim()).filter(Boolean);
+
+// A free-text search parameter as a regex condition. Repeating the parameter
+// (?email=a&email=b) arrives as an array, which is rejected.
+const textSearch = (query, name) => {
+  if (typeof query[name] !== 'string') {
+    throw new ApiError(400, `${name} must be given once`);
+  }
+  return { $regex: escapeRegex(query[name].trim()), $options: 'i' };
+};
+
+// Build the Mongo filter for the admin order list/export from query params
+const buildOrderFilter = (query) => {
+  const filter = {};
+
+  if (query.status) {
+    filter.orderStatus = { $in: toList(query.status) };
+  }
+  if (query.paymentStatus) {
+    filter['paymentInfo.paymentStatus'] = { $in: toList(query.paymentStatus) };
+  }
+  if (query.from || query.to) {
+    filter.createdAt = {};
+    if (query.from) filter.createdAt.$gte = new Date(query.from);
+    if (query.to) filter.createdAt.$lte = new Date(query.to);
+
+    if (Object.values(filter.createdAt).some(d => Number.isNaN(d.getTime()))) {
+      throw new ApiError(400, 'Invalid date range');
+    }
+  }
+  if (query.email) {
+    filter['shippingInfo.email'] = textSearch(query, 'email');
+  }
+  if (query.orderNumber) {
+    filter.orderNumber = textSearch(query, 'orderNumber');
+  }
+  if (query.note) {
+    // Matches internal notes and customer messages alike
+    filter['notes.body'] = textSearch(query, 'note');
+  }
+  if (query.product) {
+    if (!mongoose.Types.ObjectId.isValid(query.product)) {
+      throw new ApiError(400, 'Invalid product ID');
+    }
+    filter['items.product'] = query.product;
+  }
+  if (query.minTotal) {
+    const minTotal = Number(query.minTotal);
+    if (Number.isNaN(minTotal)) {
+      throw new ApiError(400, 'minTotal must be a number');
+    }
+    filter['pricing.total'] = { $gte: minTotal };
+  }
+
+  return filter;
+};
+
+const buildOrderSort = (sort) => {
+  if (!sort) return SORT_OPTIONS.newest;
+
+  if (!SORT_OPTIONS[sort]) {
+    throw new ApiError(400, `Invalid sort. Use one of: ${Object.keys(SORT_OPTIONS).join(', ')}`);
+  }
+
+  return SORT_OPTIONS[sort];
+};
+
+const parsePagination = (query) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+module.exports = {
+  SORT_OPTIONS,
+  buildOrderFilter,
+  buildOrderSort,
+  parsePagination,
+};
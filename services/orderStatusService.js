@@ -0,0 +1,74 @@
+const ApiError = require('../utils/ApiError');
+
+// Allowed order status transitions - the single source of truth
+const ORDER_STATUS_TRANSITIONS = {
+  processing: ['partially_shipped', 'shipped', 'cancelled'],
+  partially_shipped: ['shipped', 'cancelled'],
+  shipped: ['delivered', 'cancelled'],
+  delivered: [],
+  cancelled: [],
+};
+
+const canTransition = (from, to) => {
+  return (ORDER_STATUS_TRANSITIONS[from] || []).includes(to);
+};
+
+// First timeline entry for a newly placed order
+const initialHistory = (userId) => [{
+  status: 'processing',
+  from: null,
+  changedBy: userId || null,
+  changedByRole: userId ? 'customer' : 'guest',
+  note: 'Order placed',
+}];
+
+// Move an order to `nextStatus` and append it to the status history.
+// Throws a 400 ApiError for transitions the state machine doesn't allow.
+// Does not save - callers save together with their other changes.
+const transitionOrder = (order, nextStatus, { changedBy, changedByRole = 'system', note } = {}) => {
+  const currentStatus = order.orderStatus;
+
+  if (!ORDER_STATUS_TRANSITIONS[nextStatus]) {
+    throw new ApiError(400, `Unknown order status "${nextStatus}"`);
+  }
+
+  if (!canTransition(currentStatus, nextStatus)) {
+    throw new ApiError(400, `Cannot change order status from ${currentStatus} to ${nextStatus}`, {
+      allowedTransitions: ORDER_STATUS_TRANSITIONS[currentStatus] || [],
+    });
+  }
+
+  order.orderStatus = nextStatus;
+  if (nextStatus === 'delivered') {
+    order.deliveredAt = new Date(); // Starts the return window
+  }
+
+  order.statusHistory.push({
+    status: nextStatus,
+    from: currentStatus,
+    changedBy: changedBy || null,
+    changedByRole,
+    note,
+  });
+
+  return order;
+};
+
+// Timeline as shown to customers (no internal user IDs)
+const getTimeline = (order) => {
+  return order.statusHistory.map(entry => ({
+    status: entry.status,
+    from: entry.from,
+    changedByRole: entry.changedByRole,
+    note: entry.note,
+    changedAt: entry.changedAt,
+  }));
+};
+
+module.exports = {
+  ORDER_STATUS_TRANSITIONS,
+  canTransition,
+  initialHistory,
+  transitionOrder,
+  getTimeline,
+};
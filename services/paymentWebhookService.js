@@ -0,0 +1,176 @@
+const Order = require('../models/Order');
+const WebhookEvent = require('../models/WebhookEvent');
+const { getPaymentProvider } = require('./payments');
+const refundService = require('./refundService');
+
+// Payment statuses only move forward. Stripe can deliver events late or out of
+// order (e.g. `payment_failed` for an earlier attempt after `succeeded`), so a
+// lower-ranked status never overwrites a higher-ranked one.
+const PAYMENT_STATUS_RANK = {
+  pending: 0,
+  failed: 1,
+  paid: 2,
+  partially_refunded: 3,
+  disputed: 4,
+  refunded: 5,
+};
+
+// Verify the provider's signature and return the parsed event (throws if invalid)
+const constructEvent = (rawBody, headers) => {
+  return getPaymentProvider().parseWebhook(rawBody, headers);
+};
+
+// Work out which PaymentIntent an event refers to and the update it implies
+const resolveUpdate = (event) => {
+  const object = event.data.object;
+
+  switch (event.type) {
+    case 'payment_intent.succeeded':
+      return {
+        paymentIntentId: object.id,
+        paymentStatus: 'paid',
+        fields: {
+          'paymentInfo.paidAt': new Date(event.created * 1000),
+          'paymentInfo.paymentMethod': object.payment_method_types?.[0],
+        },
+      };
+
+    case 'payment_intent.payment_failed':
+      return {
+        paymentIntentId: object.id,
+        paymentStatus: 'failed',
+        fields: {},
+      };
+
+    case 'charge.refunded': {
+      const fullyRefunded = object.refunded || object.amount_refunded >= object.amount;
+      return {
+        paymentIntentId: object.payment_intent,
+        paymentStatus: fullyRefunded ? 'refunded' : 'partially_refunded',
+        amountRefunded: object.amount_refunded / 100, // Convert from cents
+        fields: {},
+      };
+    }
+
+    // A refund changed state after it was created (e.g. a card refund failed)
+    case 'charge.refund.updated':
+    case 'refund.updated':
+    case 'refund.failed':
+      return {
+        paymentIntentId: object.payment_intent,
+        refundId: object.id,
+        refundStatus: object.status,
+        failureMessage: object.failure_reason,
+      };
+
+    case 'charge.dispute.created':
+      return {
+        paymentIntentId: object.payment_intent,
+        paymentStatus: 'disputed',
+        fields: {},
+      };
+
+    default:
+      return null;
+  }
+};
+
+// Apply a verified payment event (Stripe's event shape) to the matching order.
+// Returns { duplicate, handled } so the route can log/respond accordingly.
+const handleEvent = async (event) => {
+  // Skip events we've already processed (Stripe retries deliveries)
+  const alreadyProcessed = await WebhookEvent.exists({ eventId: event.id });
+  if (alreadyProcessed) {
+    return { duplicate: true, handled: false };
+  }
+
+  const update = resolveUpdate(event);
+  let handled = false;
+
+  if (update?.refundId) {
+    const order = await Order.findOne({
+      $or: [
+        { 'refunds.stripeRefundId': update.refundId },
+        { 'refunds.parts.stripeRefundId': update.refundId },
+      ],
+    });
+
+    if (order) {
+      refundService.applyRefundUpdate(order, {
+        refundId: update.refundId,
+        status: update.refundStatus,
+        failureMessage: update.failureMessage,
+      });
+      order.paymentInfo.lastEventId = event.id;
+      order.paymentInfo.lastEventAt = new Date(event.created * 1000);
+      await order.save();
+      handled = true;
+
+      console.log(`💸 Order ${order.orderNumber} refund ${update.refundId}: ${update.refundStatus} (${event.type})`);
+    } else {
+      console.log(`Webhook ${event.type}: no order found for refund ${update.refundId}`);
+    }
+  } else if (update && update.paymentIntentId) {
+    const order = await Order.findOne({
+      'paymentInfo.stripePaymentIntentId': update.paymentIntentId,
+    });
+
+    if (order) {
+      const currentRank = PAYMENT_STATUS_RANK[order.paymentInfo.paymentStatus] ?? 0;
+      const nextRank = PAYMENT_STATUS_RANK[update.paymentStatus];
+
+      if (nextRank >= currentRank) {
+        order.paymentInfo.paymentStatus = update.paymentStatus;
+        Object.entries(update.fields).forEach(([path, value]) => {
+          if (value !== undefined) order.set(path, value);
+        });
+      } else {
+        console.log(`⏭️  Ignoring stale ${event.type} for order ${order.orderNumber} (currently ${order.paymentInfo.paymentStatus})`);
+      }
+
+      // Refund totals are cumulative on the charge, so keep the highest seen
+      if (update.amountRefunded !== undefined) {
+        order.paymentInfo.amountRefunded = Math.max(
+          order.paymentInfo.amountRefunded || 0,
+          update.amountRefunded
+        );
+      }
+
+      order.paymentInfo.lastEventId = event.id;
+      order.paymentInfo.lastEventAt = new Date(event.created * 1000);
+      await order.save();
+      handled = true;
+
+      console.log(`💳 Order ${order.orderNumber} payment status: ${order.paymentInfo.paymentStatus} (${event.type})`);
+    } else {
+      console.log(`Webhook ${event.type}: no order found for ${update.paymentIntentId}`);
+    }
+  }
+
+  // Record the event only once processing succeeded, so a failed attempt is retried
+  try {
+    await WebhookEvent.create({
+      eventId: event.id,
+      type: event.type,
+      paymentIntentId: update?.paymentIntentId || null,
+      handled,
+    });
+  } catch (error) {
+    // A concurrent delivery of the same event already recorded it
+    if (error.code !== 11000) throw error;
+    return { duplicate: true, handled };
+  }
+
+  return { duplicate: false, handled };
+};
+
+// Providers that simulate payments locally deliver their events directly
+const provider = getPaymentProvider();
+if (provider.subscribe) {
+  provider.subscribe(handleEvent);
+}
+
+module.exports = {
+  constructEvent,
+  handleEvent,
+};
@@ -0,0 +1,55 @@
+const stripeProvider = require('./stripeProvider');
+const mockProvider = require('./mockProvider');
+
+// Payment providers keyed by name. A provider implements:
+//   name
+//   createIntent({ amount, currency, metadata, idempotencyKey }) - amounts in minor units
+//   confirmIntent(id, { paymentMethod })
+//   retrieveIntent(id)
+//   cancelIntent(id)
+//   refund({ paymentIntentId, amount, metadata, idempotencyKey }) - { id, status, amount }
+//   parseWebhook(rawBody, headers) - verified event in Stripe's event shape
+//   subscribe(listener)                                           - optional, local events
+// Intents come back as { id, clientSecret, status, amount, currency, paymentMethodType, metadata }.
+const providers = {
+  [stripeProvider.name]: stripeProvider,
+  [mockProvider.name]: mockProvider,
+};
+
+// PAYMENT_PROVIDER picks the provider, defaulting to Stripe. The mock is
+// never picked implicitly - a missing Stripe key must not turn on a
+// provider that marks payments paid on request.
+const getProviderName = () => (process.env.PAYMENT_PROVIDER || 'stripe').toLowerCase();
+
+// The mock must be asked for outside production, with its own webhook secret
+const assertMockAllowed = () => {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('The mock payment provider cannot be used in production');
+  }
+  if (!process.env.MOCK_WEBHOOK_SECRET) {
+    throw new Error('MOCK_WEBHOOK_SECRET must be set to use the mock payment provider');
+  }
+};
+
+// The provider called `providerName`, or the configured one when no name is given.
+// Existing payments must go back through the provider that took them
+// (order.paymentInfo.provider), whatever is configured now. The configured
+// provider is looked up when the webhook service loads, so a
+// misconfiguration stops the server at startup.
+const getPaymentProvider = (providerName) => {
+  const name = (providerName || getProviderName()).toLowerCase();
+  const provider = providers[name];
+
+  if (!provider) {
+    throw new Error(`Unknown payment provider "${name}". Use one of: ${Object.keys(providers).join(', ')}`);
+  }
+  if (provider === mockProvider) {
+    assertMockAllowed();
+  }
+
+  return provider;
+};
+
+module.exports = {
+  getPaymentProvider,
+};
@@ -0,0 +1,197 @@
+const crypto = require('crypto');
+
+// Fully local payment provider for development and tests. Intents live in
+// memory (they are gone after a restart) and outcomes are picked with test
+// payment methods, like Stripe's test cards:
+//   pm_card_success   - succeeds immediately (the default)
+//   pm_card_declined  - declined, intent goes back to requires_payment_method
+//   pm_card_3ds       - requires_action; confirming again completes 3DS
+//   pm_card_delayed   - processing, settles after MOCK_SETTLEMENT_DELAY_MS
+// Events are delivered in Stripe's shape to subscribers (the webhook service)
+// and can also be posted to /webhook signed with MOCK_WEBHOOK_SECRET.
+// Only used when PAYMENT_PROVIDER=mock, and never in production.
+const SETTLEMENT_DELAY_MS = Number(process.env.MOCK_SETTLEMENT_DELAY_MS ?? 5000);
+
+const intents = new Map();
+const idempotentIntents = new Map();
+const refunds = new Map();
+const subscribers = [];
+
+const randomId = (prefix) => `${prefix}_mock_${crypto.randomBytes(12).toString('hex')}`;
+
+const toIntent = (intent) => ({
+  id: intent.id,
+  clientSecret: intent.clientSecret,
+  status: intent.status,
+  amount: intent.amount,
+  currency: intent.currency,
+  paymentMethodType: intent.status === 'succeeded' ? 'card' : undefined,
+  nextAction: intent.nextAction,
+  lastPaymentError: intent.lastPaymentError,
+  metadata: intent.metadata,
+});
+
+const emit = (type, object) => {
+  const event = {
+    id: randomId('evt'),
+    type,
+    created: Math.floor(Date.now() / 1000),
+    data: { object },
+  };
+
+  subscribers.forEach((listener) => {
+    Promise.resolve(listener(event)).catch(error => console.error('Mock payment event failed:', error.message));
+  });
+};
+
+const findIntent = (id) => {
+  const intent = intents.get(id);
+  if (!intent) {
+    const error = new Error(`No such payment_intent: ${id}`);
+    error.statusCode = 404;
+    throw error;
+  }
+  return intent;
+};
+
+const succeed = (intent) => {
+  intent.status = 'succeeded';
+  intent.nextAction = null;
+  emit('payment_intent.succeeded', { id: intent.id, amount: intent.amount, payment_method_types: ['card'] });
+};
+
+const signPayload = (payload) => crypto.createHmac('sha256', process.env.MOCK_WEBHOOK_SECRET).update(payload).digest('hex');
+
+const mockProvider = {
+  name: 'mock',
+
+  async createIntent({ amount, currency, metadata, idempotencyKey }) {
+    if (idempotencyKey && idempotentIntents.has(idempotencyKey)) {
+      return toIntent(intents.get(idempotentIntents.get(idempotencyKey)));
+    }
+
+    const id = randomId('pi');
+    const intent = {
+      id,
+      clientSecret: `${id}_secret_${crypto.randomBytes(8).toString('hex')}`,
+      status: 'requires_payment_method',
+      amount,
+      currency,
+      metadata: metadata || {},
+      amountRefunded: 0,
+      nextAction: null,
+      lastPaymentError: null,
+    };
+
+    intents.set(id, intent);
+    if (idempotencyKey) idempotentIntents.set(idempotencyKey, id);
+
+    return toIntent(intent);
+  },
+
+  async confirmIntent(id, { paymentMethod = 'pm_card_success' } = {}) {
+    const intent = findIntent(id);
+
+    if (intent.status === 'succeeded' || intent.status === 'canceled') {
+      return toIntent(intent);
+    }
+
+    // Second confirm after a 3DS challenge completes the authentication
+    if (intent.status === 'requires_action') {
+      succeed(intent);
+      return toIntent(intent);
+    }
+
+    intent.lastPaymentError = null;
+
+    switch (paymentMethod) {
+      case 'pm_card_declined':
+        intent.status = 'requires_payment_method';
+        intent.lastPaymentError = { code: 'card_declined', message: 'Your card was declined.' };
+        emit('payment_intent.payment_failed', { id: intent.id, last_payment_error: intent.lastPaymentError });
+        break;
+
+      case 'pm_card_3ds':
+        intent.status = 'requires_action';
+        intent.nextAction = { type: 'mock_3ds', message: 'Confirm again to complete authentication' };
+        break;
+
+      case 'pm_card_delayed':
+        intent.status = 'processing';
+        setTimeout(() => {
+          if (intent.status === 'processing') succeed(intent);
+        }, SETTLEMENT_DELAY_MS).unref();
+        break;
+
+      default:
+        succeed(intent);
+    }
+
+    return toIntent(intent);
+  },
+
+  async retrieveIntent(id) {
+    return toIntent(findIntent(id));
+  },
+
+  async cancelIntent(id) {
+    const intent = findIntent(id);
+    if (intent.status !== 'succeeded') {
+      intent.status = 'canceled';
+    }
+    return toIntent(intent);
+  },
+
+  async refund({ paymentIntentId, amount, idempotencyKey }) {
+    if (idempotencyKey && refunds.has(idempotencyKey)) {
+      return refunds.get(idempotencyKey);
+    }
+
+    const intent = findIntent(paymentIntentId);
+    if (intent.status !== 'succeeded') {
+      throw new Error('This PaymentIntent has not been charged');
+    }
+
+    const refundAmount = amount ?? intent.amount - intent.amountRefunded;
+    if (refundAmount > intent.amount - intent.amountRefunded) {
+      throw new Error('Refund amount exceeds the remaining charge');
+    }
+
+    intent.amountRefunded += refundAmount;
+    const refund = { id: randomId('re'), status: 'succeeded', amount: refundAmount };
+    if (idempotencyKey) refunds.set(idempotencyKey, refund);
+
+    emit('charge.refunded', {
+      id: randomId('ch'),
+      payment_intent: intent.id,
+      amount: intent.amount,
+      amount_refunded: intent.amountRefunded,
+      refunded: intent.amountRefunded >= intent.amount,
+    });
+
+    return refund;
+  },
+
+  // Events posted to /webhook must be signed: x-mock-signature = HMAC-SHA256(body)
+  parseWebhook(rawBody, headers) {
+    const payload = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody || '');
+    const signature = String(headers['x-mock-signature'] || '');
+    const expected = signPayload(payload);
+
+    if (signature.length !== expected.length
+      || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+      throw new Error('Invalid mock webhook signature');
+    }
+
+    return JSON.parse(payload);
+  },
+
+  // Deliver simulated events straight to a handler (no HTTP round trip)
+  subscribe(listener) {
+    subscribers.push(listener);
+  },
+
+  signPayload,
+};
+
+module.exports = mockProvider;
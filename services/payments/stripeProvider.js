@@ -0,0 +1,77 @@
+const Stripe = require('stripe');
+
+// Client is created on first use so the app can start without Stripe keys
+// when another provider is configured
+let client = null;
+const getClient = () => {
+  if (!client) {
+    client = Stripe(process.env.STRIPE_SECRET_KEY);
+  }
+  return client;
+};
+
+// Reduce a Stripe PaymentIntent to the fields the app relies on
+const toIntent = (paymentIntent) => ({
+  id: paymentIntent.id,
+  clientSecret: paymentIntent.client_secret,
+  status: paymentIntent.status,
+  amount: paymentIntent.amount,
+  currency: paymentIntent.currency,
+  paymentMethodType: paymentIntent.payment_method_types?.[0],
+  nextAction: paymentIntent.next_action || null,
+  metadata: paymentIntent.metadata || {},
+});
+
+const stripeProvider = {
+  name: 'stripe',
+
+  async createIntent({ amount, currency, metadata, idempotencyKey }) {
+    const paymentIntent = await getClient().paymentIntents.create({
+      amount,
+      currency,
+      metadata,
+      automatic_payment_methods: {
+        enabled: true,
+      },
+    }, idempotencyKey ? { idempotencyKey } : undefined);
+
+    return toIntent(paymentIntent);
+  },
+
+  async confirmIntent(id, { paymentMethod } = {}) {
+    const paymentIntent = await getClient().paymentIntents.confirm(id, {
+      payment_method: paymentMethod,
+    });
+    return toIntent(paymentIntent);
+  },
+
+  async retrieveIntent(id) {
+    return toIntent(await getClient().paymentIntents.retrieve(id));
+  },
+
+  async cancelIntent(id) {
+    return toIntent(await getClient().paymentIntents.cancel(id));
+  },
+
+  async refund({ paymentIntentId, amount, metadata, idempotencyKey }) {
+    const refund = await getClient().refunds.create({
+      payment_intent: paymentIntentId,
+      amount,
+      reason: 'requested_by_customer',
+      metadata,
+    }, idempotencyKey ? { idempotencyKey } : undefined);
+
+    return { id: refund.id, status: refund.status, amount: refund.amount };
+  },
+
+  // Verify the Stripe signature and return the event (throws if invalid)
+  parseWebhook(rawBody, headers) {
+    return getClient().webhooks.constructEvent(
+      rawBody,
+      headers['stripe-signature'],
+      process.env.STRIPE_WEBHOOK_SECRET
+    );
+  },
+};
+
+module.exports = stripeProvider;
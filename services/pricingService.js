@@ -0,0 +1,148 @@
+const Product = require('../models/product');
+const ApiError = require('../utils/ApiError');
+const { roundMoney, toStripeAmount } = require('../utils/money');
+const couponService = require('./couponService');
+const taxService = require('./taxService');
+const shippingService = require('./shippingService');
+const currencyService = require('./currencyService');
+const variantService = require('./variantService');
+
+// Allowed difference between client and server totals (rounding noise)
+const PRICE_TOLERANCE = 0.01;
+
+// Numeric pricing fields compared against the client's totals
+const PRICING_FIELDS = ['subtotal', 'discount', 'shipping', 'tax', 'total'];
+
+// Cart/order items send either a populated product or just its ID
+const getProductId = (item) => item.product?._id || item.product;
+
+// Resolve cart items against the Product documents: current price (in the
+// order currency), name, image etc. Items of products with variants pick one
+// by `variant` ID, `sku`, or color/width/size. Throws for unknown products,
+// variants, sizes or bad quantities.
+const buildLineItems = async (items, { currency = currencyService.BASE_CURRENCY, rate = 1 } = {}) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new ApiError(400, 'Order must contain at least one item');
+  }
+
+  const productIds = items.map(getProductId);
+  const products = await Product.find({ _id: { $in: productIds } });
+  const productMap = new Map(products.map(p => [p._id.toString(), p]));
+
+  return items.map((item) => {
+    const productId = getProductId(item);
+    const product = productId && productMap.get(productId.toString());
+
+    if (!product) {
+      throw new ApiError(404, `Product ${item.product?.name || productId} not found`);
+    }
+
+    const quantity = Number(item.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw new ApiError(400, `Invalid quantity for ${product.name}`);
+    }
+
+    const { variant, size } = variantService.resolveSelection(product, item);
+    const price = currencyService.priceFor(product, currency, rate, variant);
+
+    return {
+      product: product._id,
+      ...variantService.lineFields(variant),
+      name: product.name,
+      price,
+      size,
+      quantity,
+      image: variant?.images?.[0] || product.images[0],
+      brand: product.brand,
+      category: product.category,
+      weight: product.weight,
+      lineTotal: roundMoney(price * quantity),
+    };
+  });
+};
+
+const getSubtotal = (lineItems) => roundMoney(lineItems.reduce((sum, item) => sum + item.lineTotal, 0));
+
+// Recompute line items and totals from the Product documents in the database.
+// The client only decides what to buy (product, variant, quantity) and which
+// coupon, shipping method and currency to use, never the price. `userId`/
+// `email` are used for coupon limits and `shippingInfo` decides shipping zone
+// and tax. All amounts are returned in the order currency.
+const calculatePricing = async (items, {
+  couponCode,
+  userId,
+  email,
+  shippingInfo,
+  shippingMethod,
+  currency: requestedCurrency,
+} = {}) => {
+  const currency = currencyService.normalizeCurrency(requestedCurrency);
+  const rate = await currencyService.getRate(currency);
+  const lineItems = await buildLineItems(items, { currency, rate });
+  const subtotal = getSubtotal(lineItems);
+
+  let discount = 0;
+  let coupon = null;
+  let freeShipping = false;
+  if (couponCode) {
+    const applied = await couponService.applyCoupon(couponCode, { lineItems, subtotal, userId, email, rate });
+    discount = applied.discount;
+    freeShipping = applied.freeShipping;
+    coupon = applied.summary;
+  }
+
+  const method = await shippingService.resolveMethod(shippingMethod, lineItems, shippingInfo, subtotal, rate);
+  const shipping = freeShipping ? 0 : method.cost;
+  const tax = await taxService.calculateTax(lineItems, shippingInfo, discount);
+  const total = roundMoney(subtotal - discount + shipping + tax);
+
+  return {
+    items: lineItems,
+    currency,
+    exchangeRate: rate,
+    pricing: { subtotal, discount, shipping, tax, total, coupon },
+    shippingMethod: {
+      code: method.code,
+      name: method.name,
+      zone: method.zone,
+      estimatedDays: method.estimatedDays,
+      cost: shipping,
+    },
+  };
+};
+
+// List every field where the client's totals disagree with the server's
+const diffPricing = (serverPricing, clientPricing) => {
+  if (!clientPricing) return [];
+
+  return PRICING_FIELDS
+    .filter(field => clientPricing[field] !== undefined)
+    .filter(field => Math.abs(Number(clientPricing[field]) - serverPricing[field]) > PRICE_TOLERANCE)
+    .map(field => ({
+      field,
+      client: Number(clientPricing[field]),
+      server: serverPricing[field],
+    }));
+};
+
+// Throw a 409 with the diff if the client's totals don't match
+const assertClientPricing = (serverPricing, clientPricing) => {
+  const diff = diffPricing(serverPricing, clientPricing);
+
+  if (diff.length > 0) {
+    throw new ApiError(409, 'Order totals have changed. Please review your cart.', {
+      diff,
+      pricing: serverPricing,
+    });
+  }
+};
+
+module.exports = {
+  buildLineItems,
+  getSubtotal,
+  calculatePricing,
+  diffPricing,
+  assertClientPricing,
+  roundMoney,
+  toStripeAmount,
+};
@@ -0,0 +1,424 @@
+const Product = require('../models/product');
+const ApiError = require('../utils/ApiError');
+const escapeRegex = require('../utils/escapeRegex');
+const { escapeCsv, parseCsv, unescapeFormula } = require('../utils/csv');
+const { streamResponse } = require('../utils/stream');
+const searchService = require('./search');
+
+const MAX_ROWS = Number(process.env.PRODUCT_IMPORT_MAX_ROWS ?? 5000);
+
+// Spreadsheet layout: product fields repeat on every row of the product,
+// then one row per variant (sku, color, width, size, ...) or, for products
+// without variants, one row per size. Lists are separated by "|".
+const CSV_COLUMNS = [
+  'name', 'brand', 'category', 'description', 'price', 'weight', 'featured', 'images',
+  'sku', 'color', 'width', 'size', 'stock', 'variantPrice', 'variantImages',
+];
+const LIST_SEPARATOR = '|';
+
+// Product fields an import can set (JSON imports may also set `prices`)
+const PRODUCT_FIELDS = ['name', 'brand', 'category', 'description', 'price', 'prices', 'weight', 'featured', 'images'];
+const VARIANT_FIELDS = ['color', 'width', 'size', 'stock', 'price', 'images'];
+
+const normalizeSku = (sku) => String(sku).trim().toUpperCase();
+const groupKey = (name, brand) => `${String(name).trim().toLowerCase()}|${String(brand).trim().toLowerCase()}`;
+
+// Plain values for comparing and reporting (no Mongoose arrays or _ids)
+const plain = (field, value) => {
+  if (field === 'prices') {
+    return (value || []).map(({ currency, amount }) => ({ currency: String(currency).toUpperCase(), amount }));
+  }
+  if (Array.isArray(value)) return [...value];
+  return value;
+};
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+// ---- CSV rows -> product drafts ----
+
+const parseCell = (column, value, errors) => {
+  if (isBlank(value)) return undefined;
+  // Exported text that looked like a formula was prefixed with '
+  const text = unescapeFormula(String(value).trim());
+
+  if (['price', 'weight', 'size', 'stock', 'variantPrice'].includes(column)) {
+    const number = Number(text);
+    if (Number.isNaN(number)) {
+      errors.push({ field: column, message: `${column} must be a number` });
+      return undefined;
+    }
+    return number;
+  }
+
+  if (column === 'featured') {
+    if (['true', 'yes', '1'].includes(text.toLowerCase())) return true;
+    if (['false', 'no', '0'].includes(text.toLowerCase())) return false;
+    errors.push({ field: column, message: 'featured must be true or false' });
+    return undefined;
+  }
+
+  if (column === 'images' || column === 'variantImages') {
+    return text.split(LIST_SEPARATOR).map(s => s.trim()).filter(Boolean);
+  }
+
+  return text;
+};
+
+// Group CSV rows by name + brand into one draft per product
+const draftsFromCsv = (text) => {
+  let table;
+  try {
+    table = parseCsv(text);
+  } catch (error) {
+    throw new ApiError(400, `Invalid CSV: ${error.message}`);
+  }
+
+  if (table.length < 2) {
+    throw new ApiError(400, 'The CSV needs a header row and at least one product row');
+  }
+
+  const header = table[0].map(h => h.trim());
+  const missing = ['name', 'brand'].filter(column => !header.includes(column));
+  if (missing.length > 0) {
+    throw new ApiError(400, `The CSV is missing the column(s): ${missing.join(', ')}`);
+  }
+  if (table.length - 1 > MAX_ROWS) {
+    throw new ApiError(400, `Imports are limited to ${MAX_ROWS} rows`);
+  }
+
+  const drafts = new Map();
+  table.slice(1).forEach((cells, index) => {
+    const row = index + 2; // spreadsheet row number (header is row 1)
+    const errors = [];
+    const values = {};
+    header.forEach((column, i) => {
+      if (CSV_COLUMNS.includes(column)) values[column] = parseCell(column, cells[i], errors);
+    });
+
+    if (!values.name || !values.brand) {
+      errors.push({ field: !values.name ? 'name' : 'brand', message: 'Every row needs a name and a brand' });
+    }
+
+    const key = values.name && values.brand ? groupKey(values.name, values.brand) : `row-${row}`;
+    const draft = drafts.get(key) || { rows: [], fields: {}, sizes: [], variants: [], errors: [] };
+    draft.rows.push(row);
+    errors.forEach(error => draft.errors.push({ row, ...error }));
+
+    // Product fields come from the first row that has them
+    ['name', 'brand', 'category', 'description', 'price', 'weight', 'featured', 'images'].forEach((field) => {
+      if (values[field] !== undefined && draft.fields[field] === undefined) draft.fields[field] = values[field];
+    });
+
+    if (values.sku || values.color) {
+      draft.variants.push({
+        row,
+        sku: values.sku,
+        color: values.color,
+        width: values.width,
+        size: values.size,
+        stock: values.stock,
+        price: values.variantPrice,
+        images: values.variantImages,
+      });
+    } else if (values.size !== undefined) {
+      draft.sizes.push({ row, size: values.size, stock: values.stock });
+    }
+
+    drafts.set(key, draft);
+  });
+
+  return {
+    drafts: [...drafts.values()],
+    ignoredColumns: header.filter(column => column && !CSV_COLUMNS.includes(column)),
+  };
+};
+
+// JSON imports are product objects shaped like POST /api/products
+const draftsFromJson = (body) => {
+  const list = Array.isArray(body) ? body : body?.products;
+
+  if (!Array.isArray(list) || list.length === 0) {
+    throw new ApiError(400, 'Send a JSON array of products (or { products: [...] })');
+  }
+  if (list.length > MAX_ROWS) {
+    throw new ApiError(400, `Imports are limited to ${MAX_ROWS} products`);
+  }
+
+  return {
+    drafts: list.map((item, index) => {
+      const row = index + 1;
+      if (!item || typeof item !== 'object' || Array.isArray(item)) {
+        return { rows: [row], fields: {}, sizes: [], variants: [], errors: [{ row, message: 'Each product must be an object' }] };
+      }
+
+      const fields = {};
+      PRODUCT_FIELDS.forEach((field) => {
+        if (item[field] !== undefined) fields[field] = item[field];
+      });
+
+      const errors = [];
+      if (isBlank(item.name) || isBlank(item.brand)) {
+        errors.push({ row, field: isBlank(item.name) ? 'name' : 'brand', message: 'Every product needs a name and a brand' });
+      }
+
+      return {
+        rows: [row],
+        fields,
+        sizes: (Array.isArray(item.sizes) ? item.sizes : []).map(({ size, stock }) => ({ row, size, stock })),
+        variants: (Array.isArray(item.variants) ? item.variants : []).map(variant => ({ row, ...variant })),
+        errors,
+      };
+    }),
+    ignoredColumns: [],
+  };
+};
+
+// ---- Matching and applying drafts ----
+
+// Existing product for a draft: the one holding its SKUs, else the one with
+// the same name and brand (case-insensitive)
+const findExisting = async (draft) => {
+  const skus = draft.variants.filter(v => !isBlank(v.sku)).map(v => normalizeSku(v.sku));
+
+  if (skus.length > 0) {
+    const bySku = await Product.find({ 'variants.sku': { $in: skus } });
+    if (bySku.length > 1) {
+      throw new ApiError(400, `These SKUs belong to different products: ${skus.join(', ')}`);
+    }
+    if (bySku.length === 1) return bySku[0];
+  }
+
+  const exact = value => ({ $regex: `^${escapeRegex(String(value).trim())}$`, $options: 'i' });
+  const byName = await Product.find({ name: exact(draft.fields.name), brand: exact(draft.fields.brand) });
+  if (byName.length > 1) {
+    throw new ApiError(400, `Several products are called ${draft.fields.name} by ${draft.fields.brand}. Add SKUs to tell them apart.`);
+  }
+
+  return byName[0] || null;
+};
+
+// Apply a draft on top of an existing product, recording every change.
+// Sizes and variants in the draft are updated or added; ones it doesn't
+// mention are left alone, so a partial sheet (e.g. stock only) is safe.
+const applyDraft = (product, draft) => {
+  const changes = [];
+
+  Object.entries(draft.fields).forEach(([field, value]) => {
+    const from = plain(field, product[field]);
+    const to = plain(field, value);
+    if (JSON.stringify(from) === JSON.stringify(to)) return;
+
+    changes.push({ field, from, to });
+    product[field] = value;
+  });
+
+  draft.sizes.forEach(({ size, stock }) => {
+    const entry = product.sizes.find(s => s.size === Number(size));
+    if (!entry) {
+      product.sizes.push({ size, stock: stock ?? 0 });
+      changes.push({ field: 'sizes', size, from: null, to: stock ?? 0 });
+    } else if (stock !== undefined && entry.stock !== Number(stock)) {
+      changes.push({ field: 'sizes', size, from: entry.stock, to: stock });
+      entry.stock = stock;
+    }
+  });
+
+  draft.variants.forEach(({ row, ...variant }) => {
+    const sku = isBlank(variant.sku) ? null : normalizeSku(variant.sku);
+    const entry = product.variants.find(v => (sku
+      ? v.sku === sku
+      : v.size === Number(variant.size)
+        && String(v.color).toLowerCase() === String(variant.color).trim().toLowerCase()
+        && v.width === (variant.width || 'standard')));
+
+    if (!entry) {
+      product.variants.push({ ...variant, sku: variant.sku });
+      changes.push({ field: 'variants', sku, from: null, to: variant });
+      return;
+    }
+
+    VARIANT_FIELDS.forEach((field) => {
+      if (variant[field] === undefined) return;
+      const from = plain(field, entry[field]);
+      if (JSON.stringify(from) === JSON.stringify(plain(field, variant[field]))) return;
+
+      changes.push({ field: `variants.${field}`, sku: entry.sku, from, to: variant[field] });
+      entry[field] = variant[field];
+    });
+  });
+
+  return changes;
+};
+
+const validationErrors = (error) => {
+  if (error.errors) {
+    return Object.values(error.errors).map(e => ({ field: e.path, message: e.message }));
+  }
+  return [{ message: error.message }];
+};
+
+// Work out (and unless `dryRun`, save) one product. Never throws; problems
+// come back as an 'error' result.
+const importDraft = async (draft, { dryRun, claimedSkus }) => {
+  const result = {
+    rows: draft.rows,
+    name: draft.fields.name,
+    brand: draft.fields.brand,
+    action: 'error',
+    productId: null,
+    changes: [],
+    errors: draft.errors,
+  };
+  if (draft.errors.length > 0) return result;
+
+  try {
+    const existing = await findExisting(draft);
+    let product;
+
+    if (existing) {
+      product = existing;
+      result.changes = applyDraft(product, draft);
+    } else {
+      product = new Product({
+        ...draft.fields,
+        sizes: draft.sizes.map(({ size, stock }) => ({ size, stock })),
+        variants: draft.variants.map(({ row, ...variant }) => variant),
+      });
+    }
+
+    await product.validate();
+
+    // A SKU can only be used once, across the catalogue and within the import
+    const skus = product.variants.map(v => v.sku);
+    const taken = skus.filter(sku => claimedSkus.has(sku) && claimedSkus.get(sku) !== draft);
+    if (skus.length > 0 && taken.length === 0) {
+      const owner = await Product.findOne({ 'variants.sku': { $in: skus }, _id: { $ne: product._id } }).select('name variants.sku');
+      if (owner) taken.push(...owner.variants.map(v => v.sku).filter(sku => skus.includes(sku)));
+    }
+    if (taken.length > 0) {
+      result.errors = [{ field: 'variants.sku', message: `SKU already used by another product: ${[...new Set(taken)].join(', ')}` }];
+      return result;
+    }
+    skus.forEach(sku => claimedSkus.set(sku, draft));
+
+    result.productId = product._id;
+    result.action = existing ? (result.changes.length > 0 ? 'update' : 'unchanged') : 'create';
+
+    if (!dryRun && result.action !== 'unchanged') {
+      await product.save();
+    }
+  } catch (error) {
+    result.action = 'error';
+    result.errors = error instanceof ApiError ? [{ message: error.message }] : validationErrors(error);
+  }
+
+  return result;
+};
+
+// Import products from a CSV string or JSON body. Rows are validated
+// against the Product schema and upserted by SKU or name + brand; with
+// `dryRun` nothing is saved and the results show what would change.
+// Products are saved one by one - rows with errors don't stop the others.
+const importProducts = async ({ format, body, dryRun = false }) => {
+  const { drafts, ignoredColumns } = format === 'csv'
+    ? draftsFromCsv(body)
+    : draftsFromJson(body);
+
+  const claimedSkus = new Map();
+  const results = [];
+  for (const draft of drafts) {
+    results.push(await importDraft(draft, { dryRun, claimedSkus }));
+  }
+
+  const summary = { create: 0, update: 0, unchanged: 0, error: 0 };
+  results.forEach(({ action }) => {
+    summary[action] += 1;
+  });
+
+  if (!dryRun && summary.create + summary.update > 0) {
+    searchService.invalidate();
+  }
+
+  console.log(`📦 Product import${dryRun ? ' (dry run)' : ''}: ${summary.create} created, ${summary.update} updated, ${summary.unchanged} unchanged, ${summary.error} failed`);
+
+  return {
+    dryRun,
+    summary,
+    ignoredColumns,
+    results,
+  };
+};
+
+// ---- Export ----
+
+// One CSV row per variant, or per size for products without variants
+const toCsvRows = (product) => {
+  const base = {
+    name: product.name,
+    brand: product.brand,
+    category: product.category,
+    description: product.description,
+    price: product.price,
+    weight: product.weight,
+    featured: product.featured,
+    images: (product.images || []).join(LIST_SEPARATOR),
+  };
+
+  if ((product.variants || []).length > 0) {
+    return product.variants.map(variant => ({
+      ...base,
+      sku: variant.sku,
+      color: variant.color,
+      width: variant.width,
+      size: variant.size,
+      stock: variant.stock,
+      variantPrice: variant.price,
+      variantImages: (variant.images || []).join(LIST_SEPARATOR),
+    }));
+  }
+
+  if ((product.sizes || []).length > 0) {
+    return product.sizes.map(({ size, stock }) => ({ ...base, size, stock }));
+  }
+
+  return [base];
+};
+
+// The importable fields of a product, for JSON exports
+const toJson = (product) => ({
+  ...Object.fromEntries(PRODUCT_FIELDS.map(field => [field, plain(field, product[field])])),
+  sizes: (product.sizes || []).map(({ size, stock }) => ({ size, stock })),
+  variants: (product.variants || []).map(({ sku, color, width, size, stock, price, images }) => ({
+    sku, color, width, size, stock, price, images,
+  })),
+});
+
+// Stream the catalogue from a Mongoose cursor as CSV or a JSON array, in the
+// same shape the import reads
+const streamProducts = (cursor, format, res) => streamResponse(res, cursor, async (write) => {
+  if (format === 'csv') {
+    await write(`${CSV_COLUMNS.join(',')}\n`);
+
+    for await (const product of cursor) {
+      for (const row of toCsvRows(product)) {
+        await write(`${CSV_COLUMNS.map(column => escapeCsv(row[column])).join(',')}\n`);
+      }
+    }
+  } else {
+    await write('[');
+    let first = true;
+
+    for await (const product of cursor) {
+      await write(`${first ? '' : ','}\n${JSON.stringify(toJson(product))}`);
+      first = false;
+    }
+
+    await write('\n]\n');
+  }
+});
+
+module.exports = {
+  CSV_COLUMNS,
+  importProducts,
+  streamProducts,
+};
@@ -0,0 +1,222 @@
+const mongoose = require('mongoose');
+const Product = require('../models/product');
+const ApiError = require('../utils/ApiError');
+const variantService = require('./variantService');
+
+const DEFAULT_LIMIT = 24;
+const MAX_LIMIT = 100;
+
+// ?sort= values the product listing accepts. `relevance` (search results in
+// ranking order) is the default when searching, `newest` otherwise.
+const SORT_OPTIONS = {
+  newest: { createdAt: -1, _id: -1 },
+  price_asc: { price: 1, _id: 1 },
+  price_desc: { price: -1, _id: 1 },
+  rating: { averageRating: -1, totalReviews: -1, _id: 1 },
+  best_selling: { soldCount: -1, _id: 1 },
+};
+
+// Price facet buckets (base currency); the last one is open-ended
+const PRICE_BOUNDARIES = (process.env.PRODUCT_PRICE_BUCKETS || '0,50,100,150,200')
+  .split(',')
+  .map(Number);
+
+// Multi-select filters arrive comma-separated and/or repeated (?brand=A,B&brand=C)
+const toList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  return [].concat(value).flatMap(v => String(v).split(',')).map(v => v.trim()).filter(Boolean);
+};
+
+// "50-100" / "200-" -> { $gte: 50, $lt: 100 }
+const parsePriceRange = (range) => {
+  const match = /^(\d+(?:\.\d+)?)-(\d+(?:\.\d+)?)?$/.exec(range);
+  if (!match) {
+    throw new ApiError(400, `Invalid price range ${range}. Use min-max, e.g. 50-100`);
+  }
+
+  const condition = { $gte: Number(match[1]) };
+  if (match[2] !== undefined) condition.$lt = Number(match[2]);
+  return condition;
+};
+
+// Filter conditions for the listing, one entry per facet so each facet can
+// be counted without its own selection (picking a brand still shows the
+// other brands' counts). `searchIds` limits results to search hits.
+const buildConditions = (query, searchIds) => {
+  const conditions = {};
+
+  if (searchIds) {
+    conditions.search = { _id: { $in: searchIds.map(id => new mongoose.Types.ObjectId(id)) } };
+  }
+
+  const brands = toList(query.brand);
+  if (brands.length > 0) {
+    conditions.brand = { brand: { $in: brands } };
+  }
+
+  const categories = toList(query.category);
+  if (categories.length > 0) {
+    conditions.category = { category: { $in: categories } };
+  }
+
+  // Several ?priceRange buckets widen the results; minPrice/maxPrice narrow them
+  const price = [];
+  const ranges = toList(query.priceRange).map(range => ({ price: parsePriceRange(range) }));
+  if (ranges.length > 0) {
+    price.push({ $or: ranges });
+  }
+  if (query.minPrice || query.maxPrice) {
+    const bounds = {};
+    if (query.minPrice) bounds.$gte = Number(query.minPrice);
+    if (query.maxPrice) bounds.$lte = Number(query.maxPrice);
+    if (Object.values(bounds).some(Number.isNaN)) {
+      throw new ApiError(400, 'minPrice and maxPrice must be numbers');
+    }
+    price.push({ price: bounds });
+  }
+  if (price.length > 0) {
+    conditions.price = price.length === 1 ? price[0] : { $and: price };
+  }
+
+  const variant = {
+    sizes: toList(query.size),
+    colors: toList(query.color),
+    widths: toList(query.width),
+  };
+  const variantFilter = variantService.buildVariantFilter(variant);
+  if (variantFilter) {
+    conditions.variant = variantFilter;
+  }
+  // The size facet keeps the color/width selection but not the sizes
+  conditions.sizeFacet = variantService.buildVariantFilter({ ...variant, sizes: [] });
+
+  return conditions;
+};
+
+// AND of every condition except those named in `skip`
+const combine = (conditions, skip = []) => {
+  const parts = Object.entries(conditions)
+    .filter(([key, condition]) => condition && key !== 'sizeFacet' && !skip.includes(key))
+    .map(([, condition]) => condition);
+
+  return parts.length > 0 ? { $and: parts } : {};
+};
+
+const buildProductSort = (sort, searching) => {
+  if (!sort) return searching ? 'relevance' : SORT_OPTIONS.newest;
+  if (sort === 'relevance' && searching) return 'relevance';
+
+  if (!SORT_OPTIONS[sort]) {
+    const options = Object.keys(SORT_OPTIONS).concat(searching ? ['relevance'] : []);
+    throw new ApiError(400, `Invalid sort. Use one of: ${options.join(', ')}`);
+  }
+
+  return SORT_OPTIONS[sort];
+};
+
+const parsePagination = (query) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+// In-stock sizes of a product: from its variants, or its sizes if it has none
+const IN_STOCK_SIZES = {
+  $let: {
+    vars: { variants: { $ifNull: ['$variants', []] } },
+    in: {
+      $setUnion: [
+        {
+          $map: {
+            input: { $filter: { input: '$$variants', as: 'v', cond: { $gt: ['$$v.stock', 0] } } },
+            as: 'v',
+            in: '$$v.size',
+          },
+        },
+        {
+          $map: {
+            input: {
+              $filter: {
+                input: { $cond: [{ $gt: [{ $size: '$$variants' }, 0] }, [], { $ifNull: ['$sizes', []] }] },
+                as: 's',
+                cond: { $gt: ['$$s.stock', 0] },
+              },
+            },
+            as: 's',
+            in: '$$s.size',
+          },
+        },
+      ],
+    },
+  },
+};
+
+const priceBucketLabel = (min, max) => (max === undefined ? `${min}-` : `${min}-${max}`);
+
+// Facet counts for the sidebar: brands, categories, price buckets and
+// in-stock sizes. Each facet applies every filter except its own.
+const getFacets = async (conditions) => {
+  const lastBoundary = PRICE_BOUNDARIES[PRICE_BOUNDARIES.length - 1];
+  const sizeMatch = combine(conditions, ['variant']);
+  if (conditions.sizeFacet) {
+    sizeMatch.$and = [...(sizeMatch.$and || []), conditions.sizeFacet];
+  }
+
+  const [facets] = await Product.aggregate([
+    {
+      $facet: {
+        brands: [
+          { $match: combine(conditions, ['brand']) },
+          { $group: { _id: '$brand', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+        ],
+        categories: [
+          { $match: combine(conditions, ['category']) },
+          { $group: { _id: '$category', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+        ],
+        prices: [
+          { $match: combine(conditions, ['price']) },
+          {
+            $bucket: {
+              groupBy: '$price',
+              boundaries: PRICE_BOUNDARIES,
+              default: 'above',
+              output: { count: { $sum: 1 } },
+            },
+          },
+        ],
+        sizes: [
+          { $match: sizeMatch },
+          { $project: { sizes: IN_STOCK_SIZES } },
+          { $unwind: '$sizes' },
+          { $group: { _id: '$sizes', count: { $sum: 1 } } },
+          { $sort: { _id: 1 } },
+        ],
+      },
+    },
+  ]);
+
+  return {
+    brands: facets.brands.map(({ _id, count }) => ({ value: _id, count })),
+    categories: facets.categories.map(({ _id, count }) => ({ value: _id, count })),
+    prices: facets.prices.map(({ _id, count }) => {
+      if (_id === 'above') {
+        return { value: priceBucketLabel(lastBoundary), min: lastBoundary, max: null, count };
+      }
+      const max = PRICE_BOUNDARIES[PRICE_BOUNDARIES.indexOf(_id) + 1];
+      return { value: priceBucketLabel(_id, max), min: _id, max, count };
+    }),
+    sizes: facets.sizes.map(({ _id, count }) => ({ value: _id, count })),
+  };
+};
+
+module.exports = {
+  SORT_OPTIONS,
+  buildConditions,
+  combine,
+  buildProductSort,
+  parsePagination,
+  getFacets,
+};
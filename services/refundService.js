@@ -0,0 +1,270 @@
+const ApiError = require('../utils/ApiError');
+const { roundMoney, toStripeAmount, formatMoney } = require('../utils/money');
+const { getPaymentProvider } = require('./payments');
+const giftCardService = require('./giftCardService');
+const storeCreditService = require('./storeCreditService');
+
+const REFUNDABLE_STATUSES = ['paid', 'partially_refunded'];
+// Refunds in these states returned no money
+const UNPAID_REFUND_STATUSES = ['failed', 'canceled'];
+
+const sumOf = (list, field) => (list || []).reduce((sum, entry) => sum + (entry[field] || 0), 0);
+
+// Card payments taken: the checkout payment plus any extra charges from order
+// modifications. Older orders don't store it; they were paid fully by card.
+const getAmountCharged = (order) => {
+  const { amountCharged } = order.paymentInfo;
+  return amountCharged !== undefined && amountCharged !== null ? amountCharged : order.pricing.total;
+};
+
+// Everywhere a refund can go, with what each still has available, in the
+// order they are used: store credit, gift cards (last used first), extra card
+// charges (newest first) and the checkout payment last - so the original
+// PaymentIntent is only fully refunded once everything else is. Card money is
+// only refundable once the payment has gone through.
+const getRefundSources = (order) => {
+  const { paymentInfo } = order;
+  const tenders = order.tenders || [];
+  const charges = paymentInfo.additionalCharges || [];
+
+  const tenderAvailable = tender => roundMoney(tender.amount - (tender.amountRefunded || 0));
+  const sources = [
+    ...tenders.filter(t => t.type === 'store_credit').map(tender => ({ tender, available: tenderAvailable(tender) })),
+    ...tenders.filter(t => t.type === 'gift_card').reverse().map(tender => ({ tender, available: tenderAvailable(tender) })),
+  ];
+
+  if (REFUNDABLE_STATUSES.includes(paymentInfo.paymentStatus)) {
+    const cardRefunded = (paymentInfo.amountRefunded || 0) - sumOf(tenders, 'amountRefunded');
+
+    charges.slice().reverse().forEach((charge) => {
+      sources.push({
+        paymentIntentId: charge.paymentIntentId,
+        charge,
+        available: roundMoney(charge.amount - (charge.amountRefunded || 0)),
+      });
+    });
+
+    sources.push({
+      paymentIntentId: paymentInfo.stripePaymentIntentId,
+      available: roundMoney(
+        getAmountCharged(order) - sumOf(charges, 'amount') - (cardRefunded - sumOf(charges, 'amountRefunded'))
+      ),
+    });
+  }
+
+  return sources.filter(source => (source.tender || source.paymentIntentId) && source.available > 0);
+};
+
+// Amount still available to refund on an order
+const getRefundableAmount = (order) => {
+  return roundMoney(sumOf(getRefundSources(order), 'available'));
+};
+
+// Refund for specific line items: item price less its share of any order
+// discount, plus the tax charged on those units (each line's own tax, so
+// exempt and overridden categories come back at their rate). Orders priced
+// before per-line tax fall back to the order-wide rate. Shipping is only
+// returned when the whole order is cancelled.
+const calculateItemsRefund = (order, selections) => {
+  const { subtotal, discount = 0, tax } = order.pricing;
+  const discountRate = subtotal > 0 ? discount / subtotal : 0;
+  const taxable = subtotal - discount;
+  const taxRate = taxable > 0 ? tax / taxable : 0;
+  const hasLineTax = order.items.some(item => (item.taxBreakdown || []).length > 0);
+
+  const amount = selections.reduce((sum, { item, quantity }) => {
+    const net = item.price * quantity * (1 - discountRate);
+    const lineTax = hasLineTax
+      ? (item.quantity > 0 ? (item.tax || 0) / item.quantity * quantity : 0)
+      : net * taxRate;
+    return sum + net + lineTax;
+  }, 0);
+
+  return Math.min(roundMoney(amount), getRefundableAmount(order));
+};
+
+// Once money has been taken, the status follows what is left to refund
+const updatePaymentStatus = (order) => {
+  if (REFUNDABLE_STATUSES.includes(order.paymentInfo.paymentStatus)) {
+    order.paymentInfo.paymentStatus = getRefundableAmount(order) <= 0 ? 'refunded' : 'partially_refunded';
+  }
+};
+
+// Return `amount` to one source; resolves to the refund part for the history
+const refundToSource = async (order, source, amount, { reason, initiatedBy, idempotencyKey }) => {
+  const { tender } = source;
+  const details = { order: order._id, orderNumber: order.orderNumber, note: reason, createdBy: initiatedBy };
+
+  if (tender?.type === 'gift_card') {
+    await giftCardService.creditCard(tender.giftCard, amount, details);
+    return { tender: 'gift_card', giftCard: tender.giftCard, amount, status: 'succeeded' };
+  }
+
+  if (tender?.type === 'store_credit') {
+    await storeCreditService.creditUser(order.user, amount, { type: 'refund', ...details });
+    return { tender: 'store_credit', amount, status: 'succeeded' };
+  }
+
+  const refund = await getPaymentProvider(order.paymentInfo.provider).refund({
+    paymentIntentId: source.paymentIntentId,
+    amount: toStripeAmount(amount),
+    metadata: {
+      orderNumber: order.orderNumber,
+      reason: reason || '',
+    },
+    idempotencyKey,
+  });
+
+  return {
+    tender: 'card',
+    paymentIntentId: source.paymentIntentId,
+    stripeRefundId: refund.id,
+    amount,
+    status: refund.status,
+  };
+};
+
+// Refund part of an order and record it in the order's refund history.
+// The amount goes back to the tenders that paid (see getRefundSources), or
+// with `method: 'store_credit'` to the customer's store credit instead.
+// Returns the history entry, or null when there is nothing to refund. A failed
+// refund is saved to the history before the error is thrown.
+const refundOrder = async (order, { amount, items = [], reason, initiatedBy, method = 'original' }) => {
+  const refundAmount = Math.min(roundMoney(amount), getRefundableAmount(order));
+  if (refundAmount <= 0) {
+    return null;
+  }
+
+  if (method === 'store_credit' && !order.user) {
+    throw new ApiError(400, 'Guest orders cannot be refunded as store credit');
+  }
+
+  const entry = {
+    amount: refundAmount,
+    method,
+    reason,
+    items: items.map(({ item, quantity }) => ({ itemId: item._id, quantity })),
+    initiatedBy,
+    parts: [],
+  };
+
+  // Same order + same attempt number never refunds twice on a retry
+  const baseKey = `refund-${order._id}-${order.refunds.length}`;
+  let remaining = refundAmount;
+
+  try {
+    // Paid out once as credit; the tenders below are only marked as refunded
+    const toStoreCredit = method === 'store_credit';
+    if (toStoreCredit) {
+      entry.parts.push(await refundToSource(order, { tender: { type: 'store_credit' } }, refundAmount, { reason, initiatedBy }));
+    }
+
+    for (const [index, source] of getRefundSources(order).entries()) {
+      if (remaining <= 0) break;
+
+      const partAmount = roundMoney(Math.min(remaining, source.available));
+      if (!toStoreCredit) {
+        entry.parts.push(await refundToSource(order, source, partAmount, {
+          reason,
+          initiatedBy,
+          idempotencyKey: index === 0 ? baseKey : `${baseKey}-${index}`,
+        }));
+      }
+
+      if (source.tender) {
+        source.tender.amountRefunded = roundMoney((source.tender.amountRefunded || 0) + partAmount);
+      } else if (source.charge) {
+        source.charge.amountRefunded = roundMoney((source.charge.amountRefunded || 0) + partAmount);
+      }
+      remaining = roundMoney(remaining - partAmount);
+    }
+
+    entry.stripeRefundId = entry.parts.find(part => part.stripeRefundId)?.stripeRefundId;
+    entry.status = entry.parts.find(part => part.status !== 'succeeded')?.status || 'succeeded';
+  } catch (error) {
+    // Parts that already went through stay refunded
+    const refunded = roundMoney(sumOf(entry.parts, 'amount'));
+    entry.status = 'failed';
+    entry.failureMessage = error.message;
+    entry.stripeRefundId = entry.parts.find(part => part.stripeRefundId)?.stripeRefundId;
+    order.refunds.push(entry);
+    if (refunded > 0) {
+      order.paymentInfo.amountRefunded = roundMoney((order.paymentInfo.amountRefunded || 0) + refunded);
+      updatePaymentStatus(order);
+    }
+    await order.save();
+
+    console.error(`❌ Refund failed for order ${order.orderNumber}:`, error.message);
+    throw new ApiError(502, refunded > 0
+      ? `Refund was only partly processed (${refunded.toFixed(2)} of ${refundAmount.toFixed(2)}). The order was not changed.`
+      : 'Refund could not be processed. The order was not changed.', {
+      refund: order.refunds[order.refunds.length - 1],
+    });
+  }
+
+  order.refunds.push(entry);
+
+  if (entry.status !== 'failed' && entry.status !== 'canceled') {
+    order.paymentInfo.amountRefunded = roundMoney((order.paymentInfo.amountRefunded || 0) + refundAmount);
+    updatePaymentStatus(order);
+  }
+
+  console.log(`💸 Refunded ${formatMoney(refundAmount, order.currency)} for order ${order.orderNumber} (${entry.parts.map(p => p.tender).join(', ')})`);
+
+  return order.refunds[order.refunds.length - 1];
+};
+
+// Apply a later status from the payment provider to the card refund
+// `refundId` (card refunds can stay pending for days and still fail). A
+// refund that fails or is canceled after it was counted gives its amount back
+// to what can be refunded. Returns the history entry, or null if the order
+// has no such refund.
+const applyRefundUpdate = (order, { refundId, status, failureMessage }) => {
+  const entry = order.refunds.find(refund => refund.stripeRefundId === refundId
+    || refund.parts.some(part => part.stripeRefundId === refundId));
+  if (!entry) {
+    return null;
+  }
+
+  // Older entries have no parts; the entry is the single card refund
+  const part = entry.parts.find(p => p.stripeRefundId === refundId);
+  const target = part || entry;
+  const previousStatus = target.status;
+  // Failed entries still counted the parts that went through (see refundOrder)
+  const entryCounted = !UNPAID_REFUND_STATUSES.includes(entry.status) || Boolean(entry.failureMessage);
+
+  target.status = status;
+  if (part && entry.status !== 'failed') {
+    entry.status = entry.parts.find(p => p.status !== 'succeeded')?.status || 'succeeded';
+  }
+
+  const nowUnpaid = UNPAID_REFUND_STATUSES.includes(status) && !UNPAID_REFUND_STATUSES.includes(previousStatus);
+  if (nowUnpaid && entryCounted) {
+    const { paymentInfo } = order;
+    paymentInfo.amountRefunded = roundMoney(Math.max(0, (paymentInfo.amountRefunded || 0) - target.amount));
+
+    const charge = (paymentInfo.additionalCharges || []).find(c => part && c.paymentIntentId === part.paymentIntentId);
+    if (charge) {
+      charge.amountRefunded = roundMoney(Math.max(0, (charge.amountRefunded || 0) - target.amount));
+    }
+
+    entry.status = status;
+    entry.failureMessage = failureMessage || `Refund ${status} by the payment provider`;
+
+    if (['partially_refunded', 'refunded'].includes(paymentInfo.paymentStatus)) {
+      paymentInfo.paymentStatus = paymentInfo.amountRefunded > 0 ? 'partially_refunded' : 'paid';
+    }
+
+    console.error(`❌ Refund ${refundId} for order ${order.orderNumber} ${status}: ${formatMoney(target.amount, order.currency)} is refundable again`);
+  }
+
+  return entry;
+};
+
+module.exports = {
+  getAmountCharged,
+  getRefundableAmount,
+  calculateItemsRefund,
+  refundOrder,
+  applyRefundUpdate,
+};
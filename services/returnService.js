@@ -0,0 +1,211 @@
+const Order = require('../models/Order');
+const Return = require('../models/Return');
+const ApiError = require('../utils/ApiError');
+const inventoryService = require('./inventoryService');
+const refundService = require('./refundService');
+
+// Days after delivery during which a return can be opened
+const RETURN_WINDOW_DAYS = Number(process.env.RETURN_WINDOW_DAYS ?? 30);
+
+// Generate unique return (RMA) number
+const generateRmaNumber = () => {
+  const timestamp = Date.now().toString(36);
+  const randomStr = Math.random().toString(36).substring(2, 8).toUpperCase();
+  return `RMA-${timestamp}-${randomStr}`;
+};
+
+const getReturnDeadline = (order) => {
+  const deliveredAt = order.deliveredAt || order.updatedAt;
+  const deadline = new Date(deliveredAt);
+  deadline.setDate(deadline.getDate() + RETURN_WINDOW_DAYS);
+  return deadline;
+};
+
+// Units per order line already claimed by open or completed returns
+const getReturnedQuantities = async (orderId) => {
+  const returns = await Return.find({ order: orderId, status: { $ne: 'rejected' } });
+  const quantities = new Map();
+
+  returns.forEach((ret) => {
+    ret.items.forEach((item) => {
+      const key = item.itemId.toString();
+      quantities.set(key, (quantities.get(key) || 0) + item.quantity);
+    });
+  });
+
+  return quantities;
+};
+
+// Open a return request for specific items of a delivered order
+const createReturn = async (order, userId, { items, reason }) => {
+  if (order.orderStatus !== 'delivered') {
+    throw new ApiError(400, 'Only delivered orders can be returned');
+  }
+
+  const deadline = getReturnDeadline(order);
+  if (new Date() > deadline) {
+    throw new ApiError(400, `The return window for this order closed on ${deadline.toDateString()}`);
+  }
+
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new ApiError(400, 'Please select at least one item to return');
+  }
+
+  const alreadyReturned = await getReturnedQuantities(order._id);
+
+  const returnItems = items.map(({ itemId, quantity, reason: itemReason }) => {
+    const orderItem = order.items.id(itemId);
+
+    if (!orderItem) {
+      throw new ApiError(404, `Item ${itemId} not found in this order`);
+    }
+
+    const returnable = orderItem.quantity
+      - (orderItem.cancelledQuantity || 0)
+      - (alreadyReturned.get(orderItem._id.toString()) || 0);
+    const qty = quantity === undefined ? returnable : Number(quantity);
+
+    if (!Number.isInteger(qty) || qty < 1 || qty > returnable) {
+      throw new ApiError(400, `Invalid quantity for ${orderItem.name}. ${returnable} can be returned.`);
+    }
+
+    return {
+      itemId: orderItem._id,
+      product: orderItem.product,
+      variant: orderItem.variant,
+      sku: orderItem.sku,
+      color: orderItem.color,
+      width: orderItem.width,
+      name: orderItem.name,
+      price: orderItem.price,
+      size: orderItem.size,
+      quantity: qty,
+      reason: itemReason,
+    };
+  });
+
+  return Return.create({
+    rmaNumber: generateRmaNumber(),
+    order: order._id,
+    user: userId,
+    items: returnItems,
+    reason,
+  });
+};
+
+const approveReturn = async (ret, { note } = {}) => {
+  if (ret.status !== 'requested') {
+    throw new ApiError(400, `Cannot approve a return that is ${ret.status}`);
+  }
+
+  ret.status = 'approved';
+  ret.approvedAt = new Date();
+  if (note) ret.adminNote = note;
+  await ret.save();
+
+  return ret;
+};
+
+const rejectReturn = async (ret, { note } = {}) => {
+  if (ret.status !== 'requested' && ret.status !== 'approved') {
+    throw new ApiError(400, `Cannot reject a return that is ${ret.status}`);
+  }
+
+  ret.status = 'rejected';
+  ret.rejectedAt = new Date();
+  if (note) ret.adminNote = note;
+  await ret.save();
+
+  return ret;
+};
+
+// Mark returned items as received, optionally restock them and refund them.
+// `items` defaults to everything on the return, restocked. `refundMethod`
+// 'store_credit' pays the refund out as store credit instead.
+const receiveReturn = async (ret, { items, refund = true, refundMethod = 'original', note, initiatedBy } = {}) => {
+  if (ret.status !== 'approved') {
+    throw new ApiError(400, 'Only approved returns can be marked as received');
+  }
+
+  const order = await Order.findById(ret.order);
+  if (!order) {
+    throw new ApiError(404, 'Order for this return no longer exists');
+  }
+
+  const received = (items && items.length > 0)
+    ? items.map(({ itemId, quantity, restock = true }) => {
+      const returnItem = ret.items.find(i => i.itemId.toString() === String(itemId));
+
+      if (!returnItem) {
+        throw new ApiError(404, `Item ${itemId} is not part of this return`);
+      }
+
+      const qty = quantity === undefined ? returnItem.quantity : Number(quantity);
+      if (!Number.isInteger(qty) || qty < 0 || qty > returnItem.quantity) {
+        throw new ApiError(400, `Invalid received quantity for ${returnItem.name}`);
+      }
+
+      return { returnItem, quantity: qty, restock };
+    })
+    : ret.items.map(returnItem => ({ returnItem, quantity: returnItem.quantity, restock: true }));
+
+  const selections = received
+    .filter(r => r.quantity > 0)
+    .map(r => ({ item: order.items.id(r.returnItem.itemId), quantity: r.quantity }))
+    .filter(s => s.item);
+
+  // Refund first so a Stripe failure leaves the return untouched
+  let refundEntry = null;
+  if (refund && selections.length > 0) {
+    refundEntry = await refundService.refundOrder(order, {
+      amount: refundService.calculateItemsRefund(order, selections),
+      items: selections,
+      reason: `Return ${ret.rmaNumber}`,
+      initiatedBy,
+      method: refundMethod,
+    });
+    await order.save();
+  }
+
+  const toRestock = received.filter(r => r.restock && r.quantity > 0);
+  await inventoryService.releaseStock(
+    toRestock.map(({ returnItem, quantity }) => ({
+      product: returnItem.product,
+      variant: returnItem.variant,
+      name: returnItem.name,
+      size: returnItem.size,
+      color: returnItem.color,
+      width: returnItem.width,
+      quantity,
+    }))
+  );
+
+  received.forEach(({ returnItem, quantity, restock }) => {
+    returnItem.receivedQuantity = quantity;
+    returnItem.restocked = restock && quantity > 0;
+  });
+
+  ret.status = refundEntry ? 'refunded' : 'received';
+  ret.receivedAt = new Date();
+  if (note) ret.adminNote = note;
+  if (refundEntry) {
+    ret.refund = {
+      refundId: refundEntry._id,
+      amount: refundEntry.amount,
+      stripeRefundId: refundEntry.stripeRefundId,
+      status: refundEntry.status,
+    };
+  }
+  await ret.save();
+
+  return { ret, refund: refundEntry, currency: order.currency };
+};
+
+module.exports = {
+  RETURN_WINDOW_DAYS,
+  getReturnDeadline,
+  createReturn,
+  approveReturn,
+  rejectReturn,
+  receiveReturn,
+};
@@ -0,0 +1,250 @@
+const Product = require('../../models/product');
+const tokenizer = require('./tokenizer');
+const synonymGroups = require('./synonyms');
+const suggestions = require('./suggestions');
+
+// How much a word counts depending on where it appears
+const FIELD_WEIGHTS = {
+  name: 10,
+  brand: 6,
+  category: 4,
+  description: 1,
+};
+
+// Score multipliers for the ways a query word can match an indexed term
+const MATCH_FACTORS = {
+  exact: 1,
+  synonym: 0.8,
+  prefix: 0.6,
+  fuzzy: 0.5,
+};
+
+// The index is rebuilt on the next search after this long, or straight away
+// after a product is created, changed or deleted (see invalidate)
+const INDEX_TTL_MS = Number(process.env.SEARCH_INDEX_TTL_MS ?? 5 * 60 * 1000);
+
+const MIN_PREFIX_LENGTH = 3;
+// Longer queries are cut short: every query word is compared with every
+// indexed term for typos, so search time grows with the query
+const MAX_QUERY_LENGTH = 200;
+const MAX_QUERY_TERMS = 8;
+
+// stemmed term -> every stemmed term in its synonym group
+const synonyms = new Map();
+synonymGroups.forEach((group) => {
+  const terms = [...new Set(group.flatMap(word => tokenizer.terms(word)))];
+  terms.forEach(term => synonyms.set(term, terms));
+});
+
+let index = null;
+let building = null;
+let stale = false;
+
+// Typos allowed for a query word: none for short words, more for long ones
+const maxEdits = (term) => {
+  if (term.length <= 3) return 0;
+  if (term.length <= 7) return 1;
+  return 2;
+};
+
+// Inverted index over the catalogue: term -> (product ID -> weighted count)
+const buildIndex = async () => {
+  const products = await Product.find().select('name brand category description').lean();
+  const postings = new Map();
+
+  products.forEach((product) => {
+    const id = product._id.toString();
+
+    Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+      const counts = new Map();
+      tokenizer.terms(product[field]).forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+
+      counts.forEach((count, term) => {
+        if (!postings.has(term)) postings.set(term, new Map());
+        const docs = postings.get(term);
+        // Repeats help a little, not linearly
+        docs.set(id, (docs.get(id) || 0) + weight * (1 + Math.log(count)));
+      });
+    });
+  });
+
+  console.log(`🔎 Search index built: ${products.length} products, ${postings.size} terms`);
+
+  return {
+    postings,
+    terms: [...postings.keys()],
+    productCount: products.length,
+    builtAt: Date.now(),
+  };
+};
+
+// The current index, rebuilding it when stale. Concurrent searches share
+// one rebuild.
+const getIndex = async () => {
+  const expired = index && INDEX_TTL_MS > 0 && Date.now() - index.builtAt > INDEX_TTL_MS;
+
+  if (index && !stale && !expired) return index;
+
+  if (!building) {
+    stale = false;
+    building = buildIndex()
+      .then((built) => {
+        index = built;
+        return built;
+      })
+      .finally(() => {
+        building = null;
+      });
+  }
+
+  return building;
+};
+
+// Mark the search and suggestion indexes out of date after a catalogue change
+const invalidate = () => {
+  stale = true;
+  suggestions.invalidate();
+};
+
+// Indexed terms a query word can stand for, with how well each matches.
+// The last word of the query also matches as a prefix (search-as-you-type).
+const expandTerm = (term, { terms, postings }, isLast) => {
+  const candidates = new Map();
+  const add = (candidate, factor) => {
+    if (postings.has(candidate) && factor > (candidates.get(candidate) || 0)) {
+      candidates.set(candidate, factor);
+    }
+  };
+
+  add(term, MATCH_FACTORS.exact);
+  (synonyms.get(term) || []).forEach(synonym => add(synonym, MATCH_FACTORS.synonym));
+
+  const edits = maxEdits(term);
+  const prefix = isLast && term.length >= MIN_PREFIX_LENGTH;
+
+  if (edits > 0 || prefix) {
+    terms.forEach((candidate) => {
+      if (prefix && candidate.startsWith(term)) {
+        add(candidate, MATCH_FACTORS.prefix);
+      }
+      if (edits > 0) {
+        const distance = tokenizer.editDistance(term, candidate, edits);
+        if (distance > 0 && distance <= edits) {
+          add(candidate, MATCH_FACTORS.fuzzy / distance);
+        }
+      }
+    });
+  }
+
+  return candidates;
+};
+
+// Rank products for a free-text query. Every query word is matched exactly,
+// through a synonym, as a prefix or with a typo; products are scored by
+// field weight and word rarity, and those matching more of the query words
+// come first. Resolves to [{ id, score, terms }] (best first), where `terms`
+// are the indexed terms that matched (for highlighting).
+const searchProducts = async (query) => {
+  const queryTerms = [...new Set(tokenizer.terms(String(query).slice(0, MAX_QUERY_LENGTH)))]
+    .slice(0, MAX_QUERY_TERMS);
+  if (queryTerms.length === 0) return [];
+
+  const current = await getIndex();
+  const hits = new Map();
+
+  queryTerms.forEach((term, position) => {
+    const candidates = expandTerm(term, current, position === queryTerms.length - 1);
+    const best = new Map();
+
+    candidates.forEach((factor, candidate) => {
+      const docs = current.postings.get(candidate);
+      const idf = Math.log(1 + current.productCount / docs.size);
+
+      docs.forEach((weight, id) => {
+        const score = weight * idf * factor;
+        const previous = best.get(id);
+        if (!previous || score > previous.score) {
+          best.set(id, { score, terms: previous ? [...previous.terms, candidate] : [candidate] });
+        } else {
+          previous.terms.push(candidate);
+        }
+      });
+    });
+
+    best.forEach(({ score, terms }, id) => {
+      const hit = hits.get(id) || { id, score: 0, matched: 0, terms: new Set() };
+      hit.score += score;
+      hit.matched += 1;
+      terms.forEach(t => hit.terms.add(t));
+      hits.set(id, hit);
+    });
+  });
+
+  return [...hits.values()]
+    .map(hit => ({
+      id: hit.id,
+      // Products missing some of the words drop well behind those with all
+      score: Math.round(hit.score * (hit.matched / queryTerms.length) ** 2 * 100) / 100,
+      terms: hit.terms,
+    }))
+    .sort((a, b) => b.score - a.score);
+};
+
+// Count a search towards suggestion popularity, cut to the same limits the
+// search itself applies. Searches that found nothing are not counted, so
+// typos and junk never become popular.
+const recordSearch = (query, hits) => {
+  if (!hits || hits.length === 0) return Promise.resolve();
+
+  const words = tokenizer.splitWords(String(query).slice(0, MAX_QUERY_LENGTH))
+    .slice(0, MAX_QUERY_TERMS)
+    .map(({ word }) => word);
+  return suggestions.recordSearch(words.join(' '));
+};
+
+// Shortened description around the first highlighted word
+const snippet = (text, matched, length = 160) => {
+  const source = String(text || '');
+  const first = tokenizer.tokenize(source).find(token => matched.has(token.term));
+  if (!first || source.length <= length) {
+    return tokenizer.highlight(source.slice(0, length), matched);
+  }
+
+  const start = Math.max(0, first.start - Math.floor(length / 3));
+  const end = Math.min(source.length, start + length);
+  return `${start > 0 ? '…' : ''}${tokenizer.highlight(source.slice(start, end), matched)}${end < source.length ? '…' : ''}`;
+};
+
+// Put products in the order of `hits` and add `score` and `highlights`
+// (HTML-escaped text with matches in <mark>). Products without a hit are left out.
+const rankProducts = (products, hits) => {
+  const byId = new Map(products.map(product => [product._id.toString(), product]));
+
+  return hits
+    .filter(hit => byId.has(hit.id))
+    .map((hit) => {
+      const product = byId.get(hit.id);
+      const data = product.toObject ? product.toObject() : product;
+
+      return {
+        ...data,
+        score: hit.score,
+        highlights: {
+          name: tokenizer.highlight(data.name, hit.terms),
+          brand: tokenizer.highlight(data.brand, hit.terms),
+          category: tokenizer.highlight(data.category, hit.terms),
+          description: snippet(data.description, hit.terms),
+        },
+      };
+    });
+};
+
+module.exports = {
+  searchProducts,
+  rankProducts,
+  invalidate,
+  getIndex,
+  getSuggestions: suggestions.getSuggestions,
+  recordSearch,
+  SUGGESTION_CACHE_TTL_MS: suggestions.CACHE_TTL_MS,
+};
@@ -0,0 +1,236 @@
+const Product = require('../../models/product');
+const SearchQuery = require('../../models/SearchQuery');
+const tokenizer = require('./tokenizer');
+
+// Rebuilt on the next request after this long, or after a catalogue change
+const INDEX_TTL_MS = Number(process.env.SEARCH_INDEX_TTL_MS ?? 5 * 60 * 1000);
+// How long an answer for one prefix is reused
+const CACHE_TTL_MS = Number(process.env.SUGGESTION_CACHE_TTL_MS ?? 60 * 1000);
+const MAX_CACHE_ENTRIES = 1000;
+
+// Most-run searches counted towards popularity
+const MAX_TRACKED_SEARCHES = 5000;
+// Weight of a search against a unit sold
+const SEARCH_WEIGHT = 0.5;
+// Bonus for matching the start of a name rather than a later word
+const START_BONUS = 0.5;
+// Stop looking after this many index entries (very short prefixes)
+const MAX_SCAN = 5000;
+const MAX_QUERY_LENGTH = 100;
+
+let index = null;
+let building = null;
+let stale = false;
+const cache = new Map();
+
+// Folded words separated by single spaces, the form index keys and tracked
+// searches are stored in
+const normalize = (text) => tokenizer.splitWords(text).map(({ word }) => word).join(' ');
+
+const popularity = (sold, searches) => Math.log1p(sold || 0) + SEARCH_WEIGHT * Math.log1p(searches || 0);
+
+// Sorted prefix index: one key per word of each product name, brand and
+// category, running to the end of the text ("pegasus running shoe" for
+// "Air Zoom Pegasus Running Shoe"), so a prefix of any word matches.
+// Descriptions are not indexed.
+const buildSuggestionIndex = async () => {
+  const [products, searches] = await Promise.all([
+    Product.find().select('name brand category price images soldCount').lean(),
+    SearchQuery.find().sort({ count: -1 }).limit(MAX_TRACKED_SEARCHES).select('term count').lean(),
+  ]);
+  const searchCounts = new Map(searches.map(({ term, count }) => [term, count]));
+  const entries = [];
+
+  const addKeys = (target, text) => {
+    const words = tokenizer.splitWords(text);
+    words.forEach((_, position) => {
+      entries.push({
+        key: words.slice(position).map(({ word }) => word).join(' '),
+        target,
+        text,
+        words,
+        position,
+      });
+    });
+  };
+
+  const groups = { brand: new Map(), category: new Map() };
+  products.forEach((product) => {
+    const target = {
+      type: 'product',
+      data: {
+        _id: product._id,
+        name: product.name,
+        brand: product.brand,
+        price: product.price,
+        image: product.images?.[0],
+      },
+      popularity: popularity(product.soldCount, searchCounts.get(normalize(product.name))),
+    };
+    addKeys(target, product.name);
+
+    // Brands and categories are as popular as the products in them
+    ['brand', 'category'].forEach((type) => {
+      const value = product[type];
+      if (!value) return;
+
+      const key = normalize(value);
+      const group = groups[type].get(key) || { type, value, productCount: 0, sold: 0 };
+      group.productCount += 1;
+      group.sold += product.soldCount || 0;
+      groups[type].set(key, group);
+    });
+  });
+
+  Object.values(groups).forEach((group) => {
+    group.forEach(({ type, value, productCount, sold }, key) => {
+      const target = {
+        type,
+        data: { value, productCount },
+        popularity: popularity(sold, searchCounts.get(key)),
+      };
+      addKeys(target, value);
+    });
+  });
+
+  entries.sort((a, b) => {
+    if (a.key < b.key) return -1;
+    return a.key > b.key ? 1 : 0;
+  });
+
+  console.log(`🔤 Suggestion index built: ${entries.length} keys`);
+
+  return { entries, builtAt: Date.now() };
+};
+
+const getIndex = async () => {
+  const expired = index && INDEX_TTL_MS > 0 && Date.now() - index.builtAt > INDEX_TTL_MS;
+
+  if (index && !stale && !expired) return index;
+
+  if (!building) {
+    stale = false;
+    building = buildSuggestionIndex()
+      .then((built) => {
+        index = built;
+        cache.clear();
+        return built;
+      })
+      .finally(() => {
+        building = null;
+      });
+  }
+
+  return building;
+};
+
+// Mark the index out of date after a catalogue change
+const invalidate = () => {
+  stale = true;
+};
+
+// First entry whose key is >= prefix
+const lowerBound = (entries, prefix) => {
+  let low = 0;
+  let high = entries.length;
+
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (entries[mid].key < prefix) low = mid + 1;
+    else high = mid;
+  }
+
+  return low;
+};
+
+// `text` HTML-escaped with the typed prefix (starting at word `position`) in <mark>
+const highlightPrefix = ({ text, words, position }, prefix) => {
+  const start = words[position].start;
+  let end = start;
+  let remaining = prefix.length;
+
+  for (let i = position; i < words.length; i += 1) {
+    if (remaining <= words[i].word.length) {
+      end = words[i].start + remaining;
+      break;
+    }
+    remaining -= words[i].word.length + 1;
+    end = words[i].end;
+  }
+
+  return `${tokenizer.escapeHtml(text.slice(0, start))}<mark>${tokenizer.escapeHtml(text.slice(start, end))}</mark>${tokenizer.escapeHtml(text.slice(end))}`;
+};
+
+// Completions for what has been typed so far, grouped into products, brands
+// and categories (up to `limit` each), most popular first. Popularity comes
+// from units sold and how often people search for the name. Answers are
+// cached per prefix.
+const getSuggestions = async (query, { limit = 5 } = {}) => {
+  const prefix = normalize(String(query).slice(0, MAX_QUERY_LENGTH));
+  const empty = { products: [], brands: [], categories: [] };
+  if (!prefix) return empty;
+
+  const current = await getIndex();
+
+  const cacheKey = `${prefix}|${limit}`;
+  const cached = cache.get(cacheKey);
+  if (cached && cached.expiresAt > Date.now()) return cached.data;
+
+  const best = new Map();
+  const { entries } = current;
+  for (let i = lowerBound(entries, prefix), scanned = 0;
+    i < entries.length && scanned < MAX_SCAN && entries[i].key.startsWith(prefix);
+    i += 1, scanned += 1) {
+    const entry = entries[i];
+    const score = entry.target.popularity + (entry.position === 0 ? START_BONUS : 0);
+    const previous = best.get(entry.target);
+
+    if (!previous || score > previous.score) {
+      best.set(entry.target, { score, entry });
+    }
+  }
+
+  const ranked = [...best.values()].sort((a, b) => b.score - a.score);
+  const group = type => ranked
+    .filter(({ entry }) => entry.target.type === type)
+    .slice(0, limit)
+    .map(({ entry }) => ({ ...entry.target.data, highlight: highlightPrefix(entry, prefix) }));
+
+  const data = {
+    products: group('product'),
+    brands: group('brand'),
+    categories: group('category'),
+  };
+
+  if (cache.size >= MAX_CACHE_ENTRIES) {
+    cache.delete(cache.keys().next().value);
+  }
+  cache.set(cacheKey, { data, expiresAt: Date.now() + CACHE_TTL_MS });
+
+  return data;
+};
+
+// Count a search (already cut to the search query limits) towards
+// suggestion popularity. Never throws - a search must not fail because it
+// couldn't be counted.
+const recordSearch = async (query) => {
+  const term = normalize(query);
+  if (term.length < 2) return;
+
+  try {
+    await SearchQuery.updateOne(
+      { term },
+      { $inc: { count: 1 }, $set: { lastSearchedAt: new Date() } },
+      { upsert: true }
+    );
+  } catch (error) {
+    console.error('Could not record search:', error.message);
+  }
+};
+
+module.exports = {
+  CACHE_TTL_MS,
+  getSuggestions,
+  recordSearch,
+  invalidate,
+};
@@ -0,0 +1,11 @@
+// Words a shopper may use for the same thing. Each group is searched as one
+// term; groups are stemmed like the index, so plurals are covered.
+module.exports = [
+  ['sneaker', 'trainer', 'kicks'],
+  ['running', 'runner', 'run', 'jogging'],
+  ['sports', 'sport', 'athletic', 'training', 'gym'],
+  ['formal', 'dress', 'oxford', 'derby', 'loafer'],
+  ['casual', 'everyday', 'lifestyle'],
+  ['shoe', 'footwear'],
+  ['grey', 'gray'],
+];
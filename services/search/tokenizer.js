@@ -0,0 +1,112 @@
+// Words too common in product text to help ranking
+const STOP_WORDS = new Set(['a', 'an', 'and', 'the', 'for', 'of', 'with', 'in', 'on', 'to', 'by', 'or', 'is']);
+
+// Drop accents so "café" and "cafe" index the same
+const fold = (text) => String(text || '').normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+// Light plural stemming: "sneakers" -> "sneaker", "boxes" -> "box"
+const stem = (word) => {
+  if (word.length <= 3 || /\d/.test(word)) return word;
+  if (word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (/(ss|x|ch|sh)es$/.test(word)) return word.slice(0, -2);
+  if (word.endsWith('s') && !word.endsWith('ss') && !word.endsWith('us')) return word.slice(0, -1);
+  return word;
+};
+
+// Folded words of `text` with their position in the original string
+const splitWords = (text) => {
+  const source = String(text || '');
+  const folded = fold(source);
+  const words = [];
+  const pattern = /[a-z0-9]+/g;
+  let match;
+
+  while ((match = pattern.exec(folded)) !== null) {
+    words.push({ word: match[0], start: match.index, end: match.index + match[0].length });
+  }
+
+  if (folded.length === source.length) return words;
+
+  // Text had accents: recompute offsets against the original characters
+  let offset = 0;
+  const map = [];
+  for (const char of source) {
+    const width = fold(char).length;
+    for (let i = 0; i < width; i += 1) map.push(offset);
+    offset += char.length;
+  }
+  map.push(offset);
+  return words.map(word => ({ ...word, start: map[word.start], end: map[word.end] }));
+};
+
+// Indexable words of `text` with their stemmed term and position in the
+// original string (used for highlighting)
+const tokenize = (text) => splitWords(text)
+  .filter(({ word }) => !STOP_WORDS.has(word))
+  .map(({ word, start, end }) => ({ term: stem(word), start, end }));
+
+const terms = (text) => tokenize(text).map(token => token.term);
+
+// Edit distance (with adjacent swaps counted as one edit), giving up once it
+// exceeds `max`
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i += 1) {
+    const row = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, prevPrev[j - 2] + 1);
+      }
+
+      row.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+
+  return prev[b.length];
+};
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// HTML-escaped `text` with words whose term is in `matched` wrapped in <mark>
+const highlight = (text, matched) => {
+  const source = String(text || '');
+  let result = '';
+  let last = 0;
+
+  tokenize(source).forEach(({ term, start, end }) => {
+    if (!matched.has(term)) return;
+    result += `${escapeHtml(source.slice(last, start))}<mark>${escapeHtml(source.slice(start, end))}</mark>`;
+    last = end;
+  });
+
+  return result + escapeHtml(source.slice(last));
+};
+
+module.exports = {
+  fold,
+  stem,
+  splitWords,
+  tokenize,
+  terms,
+  editDistance,
+  escapeHtml,
+  highlight,
+};
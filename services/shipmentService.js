@@ -0,0 +1,181 @@
+const ApiError = require('../utils/ApiError');
+const carriers = require('./carriers');
+const orderStatusService = require('./orderStatusService');
+
+const SHIPPABLE_STATUSES = ['processing', 'partially_shipped'];
+// Matches the shipment status enum on the Order model
+const SHIPMENT_STATUSES = ['in_transit', 'delivered', 'exception'];
+
+// Units per order line already in a shipment
+const getShippedQuantities = (order) => {
+  const quantities = new Map();
+
+  order.shipments.forEach((shipment) => {
+    shipment.items.forEach((item) => {
+      const key = item.itemId.toString();
+      quantities.set(key, (quantities.get(key) || 0) + item.quantity);
+    });
+  });
+
+  return quantities;
+};
+
+const getUnshippedQuantity = (item, shipped) => {
+  return item.quantity - (item.cancelledQuantity || 0) - (shipped.get(item._id.toString()) || 0);
+};
+
+// Order status implied by the shipments: partially shipped, shipped, or
+// delivered once every unit has shipped and every shipment has arrived
+const deriveStatus = (order) => {
+  if (order.shipments.length === 0) return order.orderStatus;
+
+  const shipped = getShippedQuantities(order);
+  const fullyShipped = order.items.every(item => getUnshippedQuantity(item, shipped) <= 0);
+
+  if (!fullyShipped) return 'partially_shipped';
+  if (order.shipments.every(s => s.status === 'delivered')) return 'delivered';
+  return 'shipped';
+};
+
+// Walk the order status forward to whatever the shipments imply
+const syncOrderStatus = (order, { changedBy, note } = {}) => {
+  const target = deriveStatus(order);
+  const actor = { changedBy, changedByRole: changedBy ? 'admin' : 'system', note };
+
+  if (target === order.orderStatus) return;
+
+  // processing/partially_shipped -> delivered has to pass through shipped
+  if (target === 'delivered' && order.orderStatus !== 'shipped') {
+    orderStatusService.transitionOrder(order, 'shipped', actor);
+  }
+
+  orderStatusService.transitionOrder(order, target, actor);
+};
+
+// Add a shipment to an order. `items` defaults to every unit not yet shipped.
+const createShipment = (order, { carrier, trackingNumber, items, shippedAt, createdBy }) => {
+  if (!SHIPPABLE_STATUSES.includes(order.orderStatus)) {
+    throw new ApiError(400, `Cannot add a shipment to an order that is ${order.orderStatus}`);
+  }
+
+  if (!carrier) {
+    throw new ApiError(400, 'Carrier is required');
+  }
+
+  const adapter = carriers.getCarrier(carrier);
+  const tracking = trackingNumber || adapter?.generateTrackingNumber?.();
+
+  if (!tracking) {
+    throw new ApiError(400, 'Tracking number is required');
+  }
+
+  const shipped = getShippedQuantities(order);
+
+  const shipmentItems = (items && items.length > 0)
+    ? items.map(({ itemId, quantity }) => {
+      const item = order.items.id(itemId);
+
+      if (!item) {
+        throw new ApiError(404, `Item ${itemId} not found in this order`);
+      }
+
+      const unshipped = getUnshippedQuantity(item, shipped);
+      const qty = quantity === undefined ? unshipped : Number(quantity);
+
+      if (!Number.isInteger(qty) || qty < 1 || qty > unshipped) {
+        throw new ApiError(400, `Invalid quantity for ${item.name}. ${unshipped} left to ship.`);
+      }
+
+      return { itemId: item._id, quantity: qty };
+    })
+    : order.items
+      .map(item => ({ itemId: item._id, quantity: getUnshippedQuantity(item, shipped) }))
+      .filter(item => item.quantity > 0);
+
+  if (shipmentItems.length === 0) {
+    throw new ApiError(400, 'All items in this order have already shipped');
+  }
+
+  order.shipments.push({
+    carrier,
+    trackingNumber: tracking,
+    trackingUrl: adapter?.getTrackingUrl?.(tracking),
+    items: shipmentItems,
+    shippedAt: shippedAt ? new Date(shippedAt) : new Date(),
+    createdBy,
+  });
+
+  const shipment = order.shipments[order.shipments.length - 1];
+  syncOrderStatus(order, { changedBy: createdBy, note: `Shipped via ${carrier} (${tracking})` });
+
+  return shipment;
+};
+
+const findShipment = (order, shipmentId) => {
+  const shipment = order.shipments.id(shipmentId);
+
+  if (!shipment) {
+    throw new ApiError(404, 'Shipment not found');
+  }
+
+  return shipment;
+};
+
+// Manual update from an admin (status, tracking number, delivery date)
+const updateShipment = (order, shipmentId, { status, trackingNumber, deliveredAt }, changedBy) => {
+  const shipment = findShipment(order, shipmentId);
+
+  if (status && !SHIPMENT_STATUSES.includes(status)) {
+    throw new ApiError(400, `Invalid shipment status. Must be one of: ${SHIPMENT_STATUSES.join(', ')}`);
+  }
+
+  if (trackingNumber) {
+    shipment.trackingNumber = trackingNumber;
+    shipment.trackingUrl = carriers.getCarrier(shipment.carrier)?.getTrackingUrl?.(trackingNumber);
+  }
+
+  if (status) {
+    shipment.status = status;
+    if (status === 'delivered') {
+      shipment.deliveredAt = deliveredAt ? new Date(deliveredAt) : new Date();
+    }
+  }
+
+  syncOrderStatus(order, { changedBy, note: `Shipment ${shipment.trackingNumber} ${shipment.status}` });
+
+  return shipment;
+};
+
+// Pull the latest status from the carrier adapter
+const refreshTracking = async (order, shipmentId) => {
+  const shipment = findShipment(order, shipmentId);
+  const adapter = carriers.getCarrier(shipment.carrier);
+
+  if (!adapter) {
+    throw new ApiError(400, `No tracking integration for carrier "${shipment.carrier}"`);
+  }
+
+  const tracking = await adapter.getTracking(shipment.trackingNumber, {
+    shippedAt: shipment.shippedAt,
+  });
+
+  shipment.status = tracking.status;
+  shipment.trackingEvents = tracking.events || [];
+  if (tracking.deliveredAt) {
+    shipment.deliveredAt = tracking.deliveredAt;
+  }
+
+  syncOrderStatus(order, { note: `Carrier update: ${shipment.trackingNumber} ${shipment.status}` });
+
+  return shipment;
+};
+
+module.exports = {
+  getShippedQuantities,
+  getUnshippedQuantity,
+  deriveStatus,
+  syncOrderStatus,
+  createShipment,
+  updateShipment,
+  refreshTracking,
+};
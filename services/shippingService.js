@@ -0,0 +1,112 @@
+const ShippingMethod = require('../models/ShippingMethod');
+const ApiError = require('../utils/ApiError');
+const { roundMoney } = require('../utils/money');
+
+// Used until an admin sets up shipping methods, matching the old flat rate
+const FALLBACK_METHOD = {
+  code: 'standard',
+  name: 'Standard Shipping',
+  description: '',
+  estimatedDays: { min: 3, max: 7 },
+  zones: [{
+    name: 'Everywhere',
+    countries: [],
+    states: [],
+    baseRate: Number(process.env.SHIPPING_FLAT_RATE ?? 10),
+    perItemRate: 0,
+    perKgRate: 0,
+    freeShippingThreshold: Number(process.env.FREE_SHIPPING_THRESHOLD ?? 100),
+  }],
+};
+
+const normalize = (value) => String(value || '').trim().toUpperCase();
+
+// Most specific zone for the destination: state match, then country, then
+// a catch-all zone with no countries
+const findZone = (method, shippingInfo = {}) => {
+  const country = normalize(shippingInfo.country || 'US');
+  const state = normalize(shippingInfo.state);
+
+  const inCountry = method.zones.filter(z => z.countries.length > 0 && z.countries.includes(country));
+
+  return inCountry.find(z => z.states.length > 0 && z.states.includes(state))
+    || inCountry.find(z => z.states.length === 0)
+    || method.zones.find(z => z.countries.length === 0)
+    || null;
+};
+
+// Zone rates are in the base currency; `rate` converts them to the cart's
+const quoteMethod = (method, zone, { itemCount, weight, subtotal, rate }) => {
+  const threshold = zone.freeShippingThreshold !== null && zone.freeShippingThreshold !== undefined
+    ? roundMoney(zone.freeShippingThreshold * rate)
+    : null;
+  const freeShipping = threshold !== null && subtotal >= threshold;
+
+  const cost = freeShipping
+    ? 0
+    : roundMoney((zone.baseRate + zone.perItemRate * itemCount + zone.perKgRate * weight) * rate);
+
+  return {
+    code: method.code,
+    name: method.name,
+    description: method.description,
+    estimatedDays: method.estimatedDays,
+    zone: zone.name,
+    cost,
+    freeShipping,
+    freeShippingThreshold: threshold,
+  };
+};
+
+const getActiveMethods = async () => {
+  const methods = await ShippingMethod.find({ isActive: true }).sort({ sortOrder: 1, createdAt: 1 });
+  return methods.length > 0 ? methods : [FALLBACK_METHOD];
+};
+
+// Every method that ships to the destination, with its price for this cart
+// (in the cart's currency, `rate` units per base unit)
+const quoteMethods = async (lineItems, shippingInfo, subtotal, rate = 1) => {
+  const cart = {
+    rate,
+    itemCount: lineItems.reduce((sum, item) => sum + item.quantity, 0),
+    weight: lineItems.reduce((sum, item) => sum + (item.weight ?? 1) * item.quantity, 0),
+    subtotal,
+  };
+
+  const methods = await getActiveMethods();
+
+  return methods
+    .map((method) => {
+      const zone = findZone(method, shippingInfo);
+      return zone ? quoteMethod(method, zone, cart) : null;
+    })
+    .filter(Boolean);
+};
+
+// Quote for the method the customer picked (the cheapest when none was picked).
+// Throws a 400 if the method doesn't ship to the destination.
+const resolveMethod = async (code, lineItems, shippingInfo, subtotal, rate = 1) => {
+  const quotes = await quoteMethods(lineItems, shippingInfo, subtotal, rate);
+
+  if (quotes.length === 0) {
+    throw new ApiError(400, 'We do not ship to this destination yet');
+  }
+
+  if (!code) {
+    return quotes.reduce((cheapest, quote) => (quote.cost < cheapest.cost ? quote : cheapest));
+  }
+
+  const quote = quotes.find(q => q.code === String(code).toLowerCase());
+  if (!quote) {
+    throw new ApiError(400, `Shipping method "${code}" is not available for this destination`, {
+      availableMethods: quotes,
+    });
+  }
+
+  return quote;
+};
+
+module.exports = {
+  quoteMethods,
+  resolveMethod,
+};
@@ -0,0 +1,71 @@
+const User = require('../models/User');
+const StoreCreditTransaction = require('../models/StoreCreditTransaction');
+const ApiError = require('../utils/ApiError');
+const { roundMoney } = require('../utils/money');
+
+// Balances are stored as floats, so allow for sub-cent drift when comparing
+const BALANCE_TOLERANCE = 0.005;
+
+const getBalance = async (userId) => {
+  const user = await User.findById(userId).select('storeCredit');
+  return roundMoney(user?.storeCredit || 0);
+};
+
+const record = (user, type, amount, { order, orderNumber, note, createdBy } = {}) => {
+  return StoreCreditTransaction.create({
+    user: user._id,
+    type,
+    amount,
+    balanceAfter: roundMoney(user.storeCredit),
+    order,
+    orderNumber,
+    note,
+    createdBy,
+  });
+};
+
+// Add credit (type: issue for goodwill, refund for returned money, adjust)
+const creditUser = async (userId, amount, { type = 'issue', ...details } = {}) => {
+  const value = roundMoney(Number(amount));
+  if (!Number.isFinite(value) || value <= 0) {
+    throw new ApiError(400, 'Store credit amount must be positive');
+  }
+
+  const user = await User.findByIdAndUpdate(userId, { $inc: { storeCredit: value } }, { new: true });
+  if (!user) {
+    throw new ApiError(404, 'User not found');
+  }
+
+  return record(user, type, value, details);
+};
+
+// Atomically spend credit; fails if the balance isn't there
+const debitUser = async (userId, amount, { type = 'redeem', ...details } = {}) => {
+  const value = roundMoney(Number(amount));
+  if (!Number.isFinite(value) || value <= 0) {
+    throw new ApiError(400, 'Store credit amount must be positive');
+  }
+
+  const user = await User.findOneAndUpdate(
+    { _id: userId, storeCredit: { $gte: value - BALANCE_TOLERANCE } },
+    { $inc: { storeCredit: -value } },
+    { new: true }
+  );
+
+  if (!user) {
+    throw new ApiError(400, 'Not enough store credit');
+  }
+
+  return record(user, type, -value, details);
+};
+
+const listTransactions = (userId) => {
+  return StoreCreditTransaction.find({ user: userId }).sort({ createdAt: -1 });
+};
+
+module.exports = {
+  getBalance,
+  creditUser,
+  debitUser,
+  listTransactions,
+};
@@ -0,0 +1,76 @@
+const TaxRate = require('../models/TaxRate');
+const { roundMoney } = require('../utils/money');
+
+// Used when no rate in the table matches the destination
+const DEFAULT_TAX_RATE = Number(process.env.TAX_RATE ?? 0.08);
+const DEFAULT_JURISDICTION = 'Default';
+
+const normalize = (value) => String(value || '').trim().toUpperCase();
+
+// Every active rate that covers the destination. Rates stack, so a state rate
+// and a local (ZIP prefix) rate for the same address both apply.
+const findRates = async ({ country, state, zipCode } = {}) => {
+  const countryCode = normalize(country || 'US');
+  const stateCode = normalize(state);
+  const zip = String(zipCode || '').trim();
+
+  const candidates = await TaxRate.find({
+    isActive: true,
+    country: countryCode,
+    state: { $in: ['', stateCode] },
+  });
+
+  return candidates.filter(rate => !rate.zipPrefix || zip.startsWith(rate.zipPrefix));
+};
+
+const rateForCategory = (taxRate, category) => {
+  const override = taxRate.categoryOverrides.find(o => o.category === category);
+  return override ? override.rate : taxRate.rate;
+};
+
+// Work out tax per line for a destination. Any order-level discount is spread
+// across lines by value before tax. Adds `tax` and `taxBreakdown` to each line
+// item and returns the order tax total.
+const calculateTax = async (lineItems, shippingInfo, discount = 0) => {
+  const rates = shippingInfo ? await findRates(shippingInfo) : [];
+  const subtotal = lineItems.reduce((sum, item) => sum + item.price * item.quantity, 0);
+  const discountRate = subtotal > 0 ? discount / subtotal : 0;
+
+  let total = 0;
+
+  lineItems.forEach((item) => {
+    const taxable = item.price * item.quantity * (1 - discountRate);
+
+    const breakdown = rates.length > 0
+      ? rates.map((taxRate) => {
+        const rate = rateForCategory(taxRate, item.category);
+        return {
+          jurisdiction: taxRate.jurisdiction,
+          country: taxRate.country,
+          state: taxRate.state,
+          rate,
+          taxable: roundMoney(taxable),
+          amount: roundMoney(taxable * rate),
+        };
+      })
+      : [{
+        jurisdiction: DEFAULT_JURISDICTION,
+        country: normalize(shippingInfo?.country || 'US'),
+        state: normalize(shippingInfo?.state),
+        rate: DEFAULT_TAX_RATE,
+        taxable: roundMoney(taxable),
+        amount: roundMoney(taxable * DEFAULT_TAX_RATE),
+      }];
+
+    item.taxBreakdown = breakdown;
+    item.tax = roundMoney(breakdown.reduce((sum, b) => sum + b.amount, 0));
+    total += item.tax;
+  });
+
+  return roundMoney(total);
+};
+
+module.exports = {
+  findRates,
+  calculateTax,
+};
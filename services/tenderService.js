@@ -0,0 +1,95 @@
+const ApiError = require('../utils/ApiError');
+const { roundMoney } = require('../utils/money');
+const giftCardService = require('./giftCardService');
+const storeCreditService = require('./storeCreditService');
+const currencyService = require('./currencyService');
+
+// Work out how gift cards and store credit cover an order `total`. Gift cards
+// are used first, in the order given, then store credit; the card pays the
+// rest (`amountDue`). `useStoreCredit` is true for as much as possible or a
+// maximum amount. Store credit is held in the base currency, so it can only
+// pay for orders in that currency.
+const planTenders = async (total, { giftCardCodes = [], useStoreCredit, userId, currency }) => {
+  if (!Array.isArray(giftCardCodes)) {
+    throw new ApiError(400, 'Gift cards must be a list of codes');
+  }
+
+  const tenders = [];
+  let remaining = roundMoney(total);
+
+  const codes = [...new Set(giftCardCodes.map(giftCardService.normalizeCode).filter(Boolean))];
+  for (const code of codes) {
+    if (remaining <= 0) break;
+    const card = await giftCardService.findUsableCard(code, currency);
+
+    const amount = roundMoney(Math.min(card.balance, remaining));
+    tenders.push({
+      type: 'gift_card',
+      giftCard: card._id,
+      code: giftCardService.maskCode(card.code),
+      amount,
+    });
+    remaining = roundMoney(remaining - amount);
+  }
+
+  if (useStoreCredit && remaining > 0) {
+    if (!userId) {
+      throw new ApiError(401, 'Please sign in to use store credit');
+    }
+    if (currency !== currencyService.BASE_CURRENCY) {
+      throw new ApiError(400, `Store credit can only be used for orders in ${currencyService.BASE_CURRENCY}`);
+    }
+
+    const balance = await storeCreditService.getBalance(userId);
+    const limit = useStoreCredit === true ? balance : Math.min(balance, Number(useStoreCredit) || 0);
+    const amount = roundMoney(Math.min(limit, remaining));
+
+    if (amount > 0) {
+      tenders.push({ type: 'store_credit', amount });
+      remaining = roundMoney(remaining - amount);
+    }
+  }
+
+  return { tenders, amountDue: remaining };
+};
+
+// Give back what a list of tenders took (checkout failed after redeeming)
+const releaseTenders = async (tenders, { userId, orderNumber, note = 'Checkout did not complete' } = {}) => {
+  for (const tender of tenders) {
+    try {
+      if (tender.type === 'gift_card') {
+        await giftCardService.creditCard(tender.giftCard, tender.amount, { orderNumber, note });
+      } else if (tender.type === 'store_credit') {
+        await storeCreditService.creditUser(userId, tender.amount, { type: 'refund', orderNumber, note });
+      }
+    } catch (error) {
+      console.error(`❌ Could not release ${tender.type} for ${orderNumber}:`, error.message);
+    }
+  }
+};
+
+// Take the planned amounts off every gift card and the store credit balance,
+// all or nothing: if one fails, the ones already taken are given back
+const redeemTenders = async (tenders, { userId, orderNumber }) => {
+  const redeemed = [];
+
+  try {
+    for (const tender of tenders) {
+      if (tender.type === 'gift_card') {
+        await giftCardService.debitCard(tender.giftCard, tender.amount, { orderNumber, createdBy: userId });
+      } else if (tender.type === 'store_credit') {
+        await storeCreditService.debitUser(userId, tender.amount, { orderNumber });
+      }
+      redeemed.push(tender);
+    }
+  } catch (error) {
+    await releaseTenders(redeemed, { userId, orderNumber });
+    throw error;
+  }
+};
+
+module.exports = {
+  planTenders,
+  redeemTenders,
+  releaseTenders,
+};
@@ -0,0 +1,112 @@
+const ApiError = require('../utils/ApiError');
+const escapeRegex = require('../utils/escapeRegex');
+
+const WIDTHS = ['narrow', 'standard', 'wide', 'extra_wide'];
+
+const hasVariants = (product) => (product.variants || []).length > 0;
+
+const sameColor = (a, b) => String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+
+// "Red / wide / Size 9" - standard width is left out
+const describe = ({ color, width, size }) => [
+  color,
+  width && width !== 'standard' ? width : null,
+  `Size ${size}`,
+].filter(Boolean).join(' / ');
+
+// The variant a cart/order line points at: by variant ID, by SKU, or by
+// size plus whichever of color and width tell it apart. Null if none or
+// more than one variant matches.
+const findVariant = (product, { variant, sku, color, width, size }) => {
+  const variants = product.variants || [];
+
+  if (variant) {
+    return variants.find(v => v._id.toString() === String(variant)) || null;
+  }
+  if (sku) {
+    return variants.find(v => v.sku === String(sku).trim().toUpperCase()) || null;
+  }
+
+  const matches = variants.filter(v => v.size === Number(size)
+    && (!color || sameColor(v.color, color))
+    && (!width || v.width === width));
+
+  return matches.length === 1 ? matches[0] : null;
+};
+
+// Same colorway and width in another size (size changes on an order)
+const findSibling = (product, variant, size) => {
+  return (product.variants || []).find(v => v.size === Number(size)
+    && sameColor(v.color, variant.color)
+    && v.width === variant.width) || null;
+};
+
+// Check what a line asks for against the product. Returns the variant (for
+// products with variants) and the size; throws a 400 if it isn't sold.
+const resolveSelection = (product, selection) => {
+  if (!hasVariants(product)) {
+    const size = Number(selection.size);
+    if (!product.sizes.some(s => s.size === size)) {
+      throw new ApiError(400, `Size ${selection.size} not available for ${product.name}`);
+    }
+    return { variant: null, size };
+  }
+
+  const variant = findVariant(product, selection);
+  if (!variant) {
+    throw new ApiError(400, `${describe(selection)} not available for ${product.name}. Please choose a color and width.`);
+  }
+  return { variant, size: variant.size };
+};
+
+// Fields copied from the variant onto cart/order/return lines
+const lineFields = (variant) => (variant ? {
+  variant: variant._id,
+  sku: variant.sku,
+  color: variant.color,
+  width: variant.width,
+} : {});
+
+// Product list filter for lists of sizes, colors and widths (any of each).
+// One variant has to match all three; products without variants only match
+// on size.
+const buildVariantFilter = ({ sizes = [], colors = [], widths = [] }) => {
+  const match = {};
+  if (sizes.length > 0) {
+    const values = sizes.map(Number);
+    if (values.some(Number.isNaN)) {
+      throw new ApiError(400, 'Sizes must be numbers');
+    }
+    match.size = { $in: values };
+  }
+  if (colors.length > 0) {
+    match.color = { $in: colors.map(color => new RegExp(`^${escapeRegex(color)}$`, 'i')) };
+  }
+  if (widths.length > 0) {
+    const invalid = widths.find(width => !WIDTHS.includes(width));
+    if (invalid) {
+      throw new ApiError(400, `Invalid width ${invalid}. Use one of: ${WIDTHS.join(', ')}`);
+    }
+    match.width = { $in: widths };
+  }
+
+  if (Object.keys(match).length === 0) return null;
+
+  const conditions = [{ variants: { $elemMatch: match } }];
+  if (sizes.length > 0 && colors.length === 0 && widths.length === 0) {
+    conditions.push({ 'sizes.size': match.size });
+  }
+
+  return { $or: conditions };
+};
+
+module.exports = {
+  WIDTHS,
+  hasVariants,
+  describe,
+  findVariant,
+  findSibling,
+  resolveSelection,
+  lineFields,
+  buildVariantFilter,
+};
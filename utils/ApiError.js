@@ -0,0 +1,11 @@
+// Error carrying an HTTP status so services can tell routes how to respond
+class ApiError extends Error {
+  constructor(statusCode, message, details) {
+    super(message);
+    this.name = 'ApiError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+module.exports = ApiError;
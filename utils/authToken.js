@@ -0,0 +1,16 @@
+const jwt = require('jsonwebtoken');
+
+// Decode a login token. Only tokens issued at sign-in are accepted - anything
+// signed for another purpose (e.g. an order lookup link) or without a user
+// ID is rejected, so it can't be used to act as a user.
+const verifyAuthToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  if (!decoded.id || decoded.purpose || decoded.aud) {
+    throw new jwt.JsonWebTokenError('Not a login token');
+  }
+
+  return decoded;
+};
+
+module.exports = verifyAuthToken;
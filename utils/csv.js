@@ -0,0 +1,73 @@
+// Text starting with these is run as a formula by Excel and Sheets
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Quote a CSV field when it contains a quote, comma or line break. Text that
+// would be read as a formula is prefixed with ' so it opens as plain text
+// (numbers are left alone, so negative amounts stay numeric).
+const escapeCsv = (value) => {
+  if (value === undefined || value === null) return '';
+  let str = String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(str)) {
+    str = `'${str}`;
+  }
+  return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+// Undo escapeCsv's formula guard on a parsed field
+const unescapeFormula = (value) => (/^'[=+\-@\t\r]/.test(value) ? value.slice(1) : value);
+
+// Parse CSV text (RFC 4180: quoted fields, "" escapes, line breaks inside
+// quotes, CRLF or LF) into an array of rows, each an array of fields.
+// Blank lines are skipped.
+const parseCsv = (text) => {
+  const source = String(text || '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < source.length; i += 1) {
+    const char = source[i];
+
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i += 1;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('Unterminated quoted field');
+  }
+  if (field !== '' || row.length > 0) endRow();
+
+  return rows;
+};
+
+module.exports = {
+  escapeCsv,
+  unescapeFormula,
+  parseCsv,
+};
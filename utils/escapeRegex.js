@@ -0,0 +1,4 @@
+// Escape user input before using inside a RegExp pattern
+const escapeRegex = (input) => String(input).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = escapeRegex;
@@ -0,0 +1,14 @@
+// Round to whole cents
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Amount in the smallest currency unit, as Stripe expects
+const toStripeAmount = (amount) => Math.round(amount * 100);
+
+// Amount with its currency code, for messages and documents ("EUR 12.50")
+const formatMoney = (amount, currency = 'USD') => `${currency} ${Number(amount || 0).toFixed(2)}`;
+
+module.exports = {
+  roundMoney,
+  formatMoney,
+  toStripeAmount,
+};
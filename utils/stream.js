@@ -0,0 +1,45 @@
+const { once } = require('events');
+
+// Thrown inside a streamed response once the client has gone away
+const CLIENT_GONE = new Error('Client disconnected');
+
+// Wait for the client to catch up, or fail if it disconnects first
+const waitForDrain = async (res) => {
+  const controller = new AbortController();
+  try {
+    await Promise.race([
+      once(res, 'drain', { signal: controller.signal }),
+      once(res, 'close', { signal: controller.signal }).then(() => {
+        throw CLIENT_GONE;
+      }),
+    ]);
+  } finally {
+    controller.abort();
+  }
+};
+
+// Stream a response built from a Mongoose cursor. `produce(write)` writes
+// the body; each write waits for the client instead of buffering the whole
+// export. If the client disconnects the export stops quietly, and the cursor
+// is closed either way so a dropped download never keeps it open.
+const streamResponse = async (res, cursor, produce) => {
+  const write = async (chunk) => {
+    if (res.destroyed) throw CLIENT_GONE;
+    if (!res.write(chunk)) await waitForDrain(res);
+  };
+
+  try {
+    await produce(write);
+    res.end();
+  } catch (error) {
+    if (error !== CLIENT_GONE) throw error;
+  } finally {
+    if (typeof cursor.close === 'function') {
+      await cursor.close().catch(() => {});
+    }
+  }
+};
+
+module.exports = {
+  streamResponse,
+};